@@ -15,7 +15,10 @@ const CONFIG = {
 
     // Sites file
     DATA_BASE_PATH: './', 
-    SITES_FILENAME: 'sites_file.json'
+    SITES_FILENAME: 'sites_file.json',
+
+    // Run manifest (list of published runs and their sites)
+    MANIFEST_FILENAME: 'runs_manifest.json'
 };
 
 const RISK_COLORS = {
@@ -26,6 +29,14 @@ const RISK_COLORS = {
     "N/A": "#6c757d"
 };
 
+// TWL components that may be present in the forecast CSV, matched on the header names.
+// Colors follow the historical 'Event Analysis' bar plot.
+const FORECAST_COMPONENTS = [
+    { key: "tide", label: "Tide", short: "T", color: "#ff7f0e", match: h => h.includes('tide') },
+    { key: "surge", label: "SSH", short: "S", color: "#1f77b4", match: h => h.includes('ssh') || h.includes('surge') },
+    { key: "runup", label: "Wave Runup", short: "R", color: "#2ca02c", match: h => h.includes('runup') || h.includes('setup') }
+];
+
 const VIGILANCE_LEVELS = [
     { level: "No Flood", color: RISK_COLORS["No Flood"], description: "Minimal coastal risk." },
     { level: "Warning", color: RISK_COLORS["Warning"], description: "Minor flooding possible." },
@@ -33,6 +44,12 @@ const VIGILANCE_LEVELS = [
     { level: "Severe Flood", color: RISK_COLORS["Severe Flood"], description: "Extreme and destructive flooding." }
 ];
 
+// Vigilance schemes by ID. Sites without `vigilance_scheme` use the default SafeCoast scheme above.
+const DEFAULT_VIGILANCE_SCHEME_ID = 'safecoast';
+let VIGILANCE_SCHEMES = {
+    [DEFAULT_VIGILANCE_SCHEME_ID]: { id: DEFAULT_VIGILANCE_SCHEME_ID, name: "SafeCoast", levels: VIGILANCE_LEVELS }
+};
+
 
 // ====================================================================================
 // RESET OF THE APPLICATION TO INITIAL STATE
@@ -67,12 +84,14 @@ function resetApplication() {
     document.getElementById("location-subtitle").innerText = "Threshold: -- m";
     document.getElementById("stat-twl").innerText = "-- m";
     document.getElementById("stat-risk").innerText = "N/A";
+    document.getElementById("stat-load-status").innerHTML = "";
 
     /* ---------------------------------------------------------
         4. Reset forecast table
     --------------------------------------------------------- */
     document.getElementById("forecast-table-body").innerHTML =
         `<tr><td colspan="3" class="text-center py-4 text-slate-400 italic">Loading Data...</td></tr>`;
+    document.getElementById("forecast-quality-note").innerHTML = "";
 
     /* ---------------------------------------------------------
         5. Reset map view and clear highlights
@@ -97,21 +116,145 @@ function resetApplication() {
     --------------------------------------------------------- */
     const histPlot = document.getElementById("Historical_plot");
     if (histPlot) Plotly.purge(histPlot);
+
+    syncLinkState();
 }
 
 // ====================================================================================
-// CLOUDFLARE R2 DATA FETCHING UTILITIES
+// DATA SOURCE CONFIGURATION AND FETCHING UTILITIES
 // ====================================================================================
 
+// File naming patterns per asset type. Placeholders: {site} (site ID), {run} (YYYYMMDD).
+const DEFAULT_FILE_PATTERNS = {
+    forecast: 'all_twl_data_{site}_{run}.csv',
+    xtrem: 'Xtrem_all_var_{site}.csv',
+    variability: 'Variability_Analysis_{site}.json',
+    sites: CONFIG.SITES_FILENAME,
+    manifest: CONFIG.MANIFEST_FILENAME,
+    coastline: 'coastline_segments.geojson',
+    schemes: 'vigilance_schemes.json'
+};
+
+// Built-in data sources, selectable with ?source=<name>
+const DATA_SOURCES = {
+    r2: { label: 'Cloudflare R2 (production)', baseUrl: CONFIG.DATA_BASE_URL, cache: true },
+    fixtures: { label: 'Local fixtures', baseUrl: './fixtures', cache: false }
+};
+
+// Origins a ?data= or ?config= parameter may point to (this site and the production bucket)
+const ALLOWED_DATA_ORIGINS = [window.location.origin, new URL(CONFIG.DATA_BASE_URL).origin];
+
+let ACTIVE_DATA_SOURCE = { name: 'r2', ...DATA_SOURCES.r2, patterns: { ...DEFAULT_FILE_PATTERNS } };
+
+/**
+ * Returns true when a URL (absolute or relative to the page) belongs to an allowed origin.
+ */
+function isAllowedDataUrl(url) {
+    try {
+        return ALLOWED_DATA_ORIGINS.includes(new URL(url, window.location.href).origin);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Chooses the data source at startup from the query string:
+ *  - ?source=fixtures      built-in source (see DATA_SOURCES)
+ *  - ?config=my_source.json JSON file: { "source": "fixtures", "label": "...", "baseUrl": "...", "patterns": { "forecast": "..." } }
+ *  - ?data=./my_folder     base URL override
+ * Defaults to the production R2 bucket.
+ */
+async function resolveDataSource() {
+    const params = new URLSearchParams(window.location.search);
+    let source = { name: 'r2', ...DATA_SOURCES.r2 };
+
+    const sourceName = params.get('source');
+    if (sourceName) {
+        if (DATA_SOURCES[sourceName]) {
+            source = { name: sourceName, ...DATA_SOURCES[sourceName] };
+        } else {
+            console.warn(`Unknown data source "${sourceName}". Using ${source.name}.`);
+        }
+    }
+
+    const configUrl = params.get('config');
+    if (configUrl) {
+        if (!isAllowedDataUrl(configUrl)) {
+            console.warn(`Data source config ${configUrl} is not on an allowed origin. Ignored.`);
+        } else {
+            try {
+                const response = await fetch(configUrl, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`Status: ${response.status}`);
+                const config = await response.json();
+                const preset = DATA_SOURCES[config.source] || {};
+                source = {
+                    ...source,
+                    ...preset,
+                    name: config.source || 'custom',
+                    label: config.label || preset.label || configUrl,
+                    baseUrl: config.baseUrl || preset.baseUrl || source.baseUrl,
+                    cache: config.cache !== undefined ? Boolean(config.cache) : (preset.cache !== undefined ? preset.cache : true),
+                    patterns: config.patterns || {}
+                };
+            } catch (error) {
+                console.warn(`Failed to load data source config ${configUrl}:`, error);
+            }
+        }
+    }
+
+    const baseUrl = params.get('data');
+    if (baseUrl) {
+        if (isAllowedDataUrl(baseUrl)) {
+            source = { ...source, name: 'custom', label: baseUrl, baseUrl: baseUrl };
+        } else {
+            console.warn(`Data URL ${baseUrl} is not on an allowed origin. Ignored.`);
+        }
+    }
+
+    if (!isAllowedDataUrl(source.baseUrl)) {
+        console.warn(`Data source base URL ${source.baseUrl} is not on an allowed origin. Using production bucket.`);
+        source = { name: 'r2', ...DATA_SOURCES.r2 };
+    }
+
+    source.baseUrl = source.baseUrl.replace(/\/+$/, '');
+    source.patterns = { ...DEFAULT_FILE_PATTERNS, ...(source.patterns || {}) };
+    ACTIVE_DATA_SOURCE = source;
+
+    console.log(`Data source: ${source.label} (${source.baseUrl})`);
+    renderDataSourceBadge();
+}
+
+/**
+ * Flags a non-production data source in the navbar so demo data is never mistaken for a live forecast.
+ */
+function renderDataSourceBadge() {
+    const badge = document.getElementById('data-source-badge');
+    if (!badge) return;
+
+    const isProduction = ACTIVE_DATA_SOURCE.name === 'r2' && ACTIVE_DATA_SOURCE.baseUrl === CONFIG.DATA_BASE_URL;
+    badge.innerText = isProduction ? '' : `DATA SOURCE: ${ACTIVE_DATA_SOURCE.label}`;
+    badge.style.display = isProduction ? 'none' : 'inline-block';
+}
+
+/**
+ * Builds the file name of an asset from the pattern of the active data source.
+ * @param {string} assetType - 'forecast', 'xtrem', 'variability', 'sites', 'manifest', 'coastline' or 'schemes'.
+ * @param {Object} values - Placeholder values, e.g. { site: 'TOGO', run: '20251206' }.
+ */
+function getAssetName(assetType, values = {}) {
+    const pattern = ACTIVE_DATA_SOURCE.patterns[assetType] || DEFAULT_FILE_PATTERNS[assetType];
+    return pattern.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+}
+
 /**
- * Constructs the direct download URL for a given asset filename from Cloudflare R2.
+ * Constructs the direct download URL for a given asset filename from the active data source.
  * This function is now synchronous as it only constructs the URL, it does not fetch data.
  * @param {string} filename - The name of the file (e.g., 'sites_file.json').
  * @returns {string} The direct download URL.
  */
 function getAssetDownloadUrl(filename) {
-    // Construct the R2 URL by joining the base URL and the filename.
-    return `${CONFIG.DATA_BASE_URL}/${filename}`;
+    // Construct the URL by joining the base URL and the filename.
+    return `${ACTIVE_DATA_SOURCE.baseUrl}/${filename}`;
 }
 
 
@@ -137,12 +280,12 @@ function formatDateToYYYYMMDD(dateObj) {
 }
 
 /**
- * Calculates the forecast date based on the run date and a day index (0-6).
+ * Calculates the forecast date based on the run date (defaults to the selected run) and a day index (0-6).
  */
-function getForecastDate(dayIndex) {
-    const year = parseInt(SELECTED_RUNTIME_DATE.substring(0, 4));
-    const month = parseInt(SELECTED_RUNTIME_DATE.substring(4, 6)) - 1;
-    const day = parseInt(SELECTED_RUNTIME_DATE.substring(6, 8));
+function getForecastDate(dayIndex, runDate = SELECTED_RUNTIME_DATE) {
+    const year = parseInt(runDate.substring(0, 4));
+    const month = parseInt(runDate.substring(4, 6)) - 1;
+    const day = parseInt(runDate.substring(6, 8));
     
     // Create the model run date
     const startDate = new Date(year, month, day);
@@ -161,17 +304,28 @@ let SELECTED_RUNTIME_DATE = todayYYYYMMDD; // Default to Today
 let FORECAST_DATE_STRING = SELECTED_RUNTIME_DATE; 
 const NUM_DAYS = 7; // Forecast runs for 7 days (index 0 to 6)
 let SELECTED_FORECAST_INDEX = 0; 
+let AVAILABLE_RUNS = []; // Published runs from the run manifest, newest first (empty when no manifest)
 
 let myLeafletMap = null;
 let markerLayerGroup = null;
+let segmentLayerGroup = null;
+let siteSegmentLayers = {}; // Coastline segment layer of each site, by site ID
 let mapMarkers = []; 
 let currentDayIndex = SELECTED_FORECAST_INDEX; 
 let currentSiteData = null; 
 let SITES = []; 
 
-const TIME_INTERVAL_MINUTES = 10;
-const DATA_POINTS_PER_HOUR = 60 / TIME_INTERVAL_MINUTES;
-const DATA_POINTS_PER_DAY = 24 * DATA_POINTS_PER_HOUR;
+const TIME_INTERVAL_MINUTES = 10; // Nominal model output step, used when the step cannot be detected from the file
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const GAP_TOLERANCE_FACTOR = 1.5; // A spacing larger than 1.5 x the detected step is reported as a gap
+const ENSEMBLE_QUANTILES = [10, 50, 90]; // Percentiles derived per time step when the file carries ensemble members
+
+// Map classification: 'likely' (median / deterministic) or 'rwc' (reasonable worst case, upper percentile)
+let RISK_CLASSIFICATION_MODE = 'likely';
+// Escalate a day by one level when TWL stays at its level for at least this many hours (null = off)
+let EXCEEDANCE_ESCALATION_HOURS = null;
 
 
 // ====================================================================================
@@ -179,12 +333,36 @@ const DATA_POINTS_PER_DAY = 24 * DATA_POINTS_PER_HOUR;
 
 /**
  * Sets up the dynamic date selector for the Model Run Time (Initialization).
+ * When a run manifest is available, only the published runs can be selected.
  */
 function setupDateSelector() {
     const container = document.getElementById('date-selector-container');
     if (!container) return;
 
-    // --- DYNAMIC DATE CALCULATION ---
+    if (AVAILABLE_RUNS.length > 0) {
+        container.innerHTML = `
+            <div class="form-group mb-3">
+                <label for="runtime-date-selector" class="text-white font-semibold">Forecast Run Time</label>
+                <select class="form-control" id="runtime-date-selector">
+                    ${AVAILABLE_RUNS.map(run => `
+                        <option value="${run.run}" ${run.run === SELECTED_RUNTIME_DATE ? 'selected' : ''}>
+                            ${formatRunLabel(run)}
+                        </option>
+                    `).join('')}
+                </select>
+                <small class="text-light" style="font-size: 0.8rem;">
+                    ${AVAILABLE_RUNS.length} published run(s) available
+                </small>
+            </div>
+        `;
+
+        document.getElementById('runtime-date-selector').addEventListener('change', (event) => {
+            changeRuntimeDate(event.target.value);
+        });
+        return;
+    }
+
+    // --- DYNAMIC DATE CALCULATION (no manifest: fixed window) ---
     const today = new Date();
     
     // Calculate "Today" for the max attribute (YYYY-MM-DD)
@@ -229,22 +407,30 @@ function setupDateSelector() {
              return; 
         }
         
-        SELECTED_RUNTIME_DATE = newDate;
-        FORECAST_DATE_STRING = newDate;
-
-        // Clean up map and re-fetch data
-        if (myLeafletMap) {
-            mapMarkers.forEach(marker => myLeafletMap.removeLayer(marker));
-            mapMarkers = [];
-        }
-        fetchAndProcessAllSites();
-        
-        // Update the Forecast Horizon label/date because the base date changed
-        const sliderVal = document.getElementById('forecast-day-slider').value;
-        window.handleDaySelection(parseInt(sliderVal)); 
+        changeRuntimeDate(newDate);
     });
 }
 
+/**
+ * Switches the application to another model run (YYYYMMDD) and reloads all site data.
+ */
+function changeRuntimeDate(newDate) {
+    SELECTED_RUNTIME_DATE = newDate;
+    FORECAST_DATE_STRING = newDate;
+    updateOperationalDateDisplay();
+
+    // Clean up map and re-fetch data
+    if (myLeafletMap) {
+        mapMarkers.forEach(marker => myLeafletMap.removeLayer(marker));
+        mapMarkers = [];
+    }
+    fetchAndProcessAllSites();
+    
+    // Update the Forecast Horizon label/date because the base date changed
+    const sliderVal = document.getElementById('forecast-day-slider').value;
+    window.handleDaySelection(parseInt(sliderVal)); 
+}
+
 /**
  * Sets up the dynamic slider for the Forecast Horizon (Validity Date).
  */
@@ -285,509 +471,4712 @@ function setupForecastHorizonSlider() {
 }
 
 // ====================================================================================
-// UTILITY & DATA FUNCTIONS
+// PERSISTENT ASSET CACHE (IndexedDB)
 // ====================================================================================
 
-function classifyRisk(twl, thresh, risk_classes) {
-    if (twl < thresh) return "No Flood";
-    if (twl < risk_classes[0]) return "Warning";
-    if (twl < risk_classes[1]) return "High Risk";
-    return "Severe Flood";
-}
+const ASSET_CACHE_DB_NAME = 'safecoast-assets';
+const ASSET_CACHE_STORE = 'assets';
+const ASSET_CACHE_MAX_ENTRIES = 150;          // Least recently used entries are evicted beyond this
+const ASSET_CACHE_MAX_AGE_MS = 30 * MS_PER_DAY; // Entries not refreshed for 30 days are purged
+
+// How long a cached copy is used without going back to the network, per asset type
+const ASSET_CACHE_TTL_MS = {
+    sites: MS_PER_HOUR,
+    forecastFinal: 7 * MS_PER_DAY,       // Completed runs do not change once published
+    forecastRecent: 15 * MS_PER_MINUTE,  // Runs that may still be uploading
+    historical: 7 * MS_PER_DAY           // Xtrem_all_var and Variability_Analysis catalogs
+};
 
-function transformRawSites(rawData) {
-    return Object.entries(rawData).map(([id, data]) => {
-        const siteIdName = id.replace(/-/g, ' ').toUpperCase(); 
-        const displayName = `${data.city} (${siteIdName})`;
+// Cache metadata of the last load of each asset: { fetchedAt, fromCache, stale }
+const ASSET_SYNC_INFO = {};
 
-        return {
-            id: id,
-            name: displayName,
-            lat: data.lat_cible, 
-            lng: data.lon_cible, 
-            threshold: data.threshold, 
-            risk_class: data.risk_class, 
-            forecastData: null
+let assetCacheDbPromise = null;
+
+/**
+ * Opens (once) the IndexedDB database of the asset cache. Resolves to null when IndexedDB is unavailable.
+ */
+function openAssetCacheDb() {
+    if (assetCacheDbPromise) return assetCacheDbPromise;
+
+    assetCacheDbPromise = new Promise(resolve => {
+        if (!window.indexedDB) return resolve(null);
+
+        const request = indexedDB.open(ASSET_CACHE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(ASSET_CACHE_STORE, { keyPath: 'name' });
+            store.createIndex('lastAccess', 'lastAccess');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn("IndexedDB unavailable, assets will not be cached:", request.error);
+            resolve(null);
         };
     });
+    return assetCacheDbPromise;
 }
 
 /**
- * Fetches and parses the forecast CSV for a single site.
+ * Runs a single request on the asset store and resolves with its result.
  */
-async function fetchAndParseForecast(site) {
-    const siteId = site.id; // e.g., "TWL_Baguida_TOGO"
-    // SELECTED_RUNTIME_DATE is assumed to be a global variable (e.g., '2025-12-06') and is converted to the required file format (e.g., '20251206').
-    const runDate = SELECTED_RUNTIME_DATE.replace(/-/g, '');
+async function runAssetCacheRequest(mode, operation) {
+    const db = await openAssetCacheDb();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(ASSET_CACHE_STORE, mode);
+        const request = operation(tx.objectStore(ASSET_CACHE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    // The actual files use a short ID (e.g., TOGO), which is the last part of the site ID.
-    const parts = siteId.split('_');
-    const shortId = parts[parts.length - 1];
+/**
+ * Removes entries older than ASSET_CACHE_MAX_AGE_MS, then the least recently used ones above ASSET_CACHE_MAX_ENTRIES.
+ */
+async function pruneAssetCache() {
+    try {
+        const entries = await runAssetCacheRequest('readonly', store => store.getAll());
+        if (!entries) return;
+
+        const now = Date.now();
+        const expired = entries.filter(entry => now - entry.fetchedAt > ASSET_CACHE_MAX_AGE_MS);
+        const remaining = entries
+            .filter(entry => now - entry.fetchedAt <= ASSET_CACHE_MAX_AGE_MS)
+            .sort((a, b) => b.lastAccess - a.lastAccess);
+        const evicted = [...expired, ...remaining.slice(ASSET_CACHE_MAX_ENTRIES)];
+
+        for (const entry of evicted) {
+            await runAssetCacheRequest('readwrite', store => store.delete(entry.name));
+        }
+        if (evicted.length > 0) console.log(`Asset cache: evicted ${evicted.length} entr(ies).`);
+    } catch (error) {
+        console.warn("Asset cache pruning failed:", error);
+    }
+}
 
-    const assetName = `all_twl_data_${shortId}_${runDate}.csv`;
-    
-    // Fetch GitHub URL only
-    //const finalUrl = await getAssetDownloadUrl(assetName);
-    const finalUrl = getAssetDownloadUrl(assetName); // No 'await' needed anymore
+/**
+ * Key of an asset in the persistent cache: the same file name from two data sources must not collide.
+ */
+function getAssetCacheKey(assetName) {
+    return `${ACTIVE_DATA_SOURCE.baseUrl}/${assetName}`;
+}
 
-    if (!finalUrl) {
-        console.warn(`Forecast Asset ${assetName} not found on GitHub release. Returning empty data.`);
-        // If the main forecast file is missing, we must return empty data
-        return { ...site, forecastData: { daily: [], hourly: [] } };
+/**
+ * Fetches an asset through the persistent cache and returns a Response.
+ * A cached copy younger than `maxAgeMs` is returned without network access. Otherwise the network is tried;
+ * if it cannot be reached, the cached copy is returned even when stale.
+ * HTTP errors are returned as-is (and never cached) so callers keep their `response.ok` checks.
+ */
+async function fetchAssetCached(assetName, url, maxAgeMs) {
+    // Local fixtures are read directly so edits show up on reload
+    if (ACTIVE_DATA_SOURCE.cache === false) {
+        ASSET_SYNC_INFO[assetName] = { fetchedAt: Date.now(), fromCache: false, stale: false };
+        return fetch(url);
     }
 
+    // Entries are keyed by data source and asset name
+    const cacheKey = getAssetCacheKey(assetName);
+    let cached = null;
     try {
-        const response = await fetch(finalUrl);
-        
-        if (!response.ok) {
-            console.warn(`Forecast data failed to download for ${site.name} from R2 ${finalUrl}. Status: ${response.status}`);
-            return { ...site, forecastData: { daily: [], hourly: [] } };
-        }
+        cached = await runAssetCacheRequest('readonly', store => store.get(cacheKey));
+    } catch (error) {
+        console.warn(`Asset cache read failed for ${assetName}:`, error);
+    }
 
-        const csvText = await response.text();
-        const forecastData = parseForecastCSV(csvText, site);
-        
-        return { ...site, forecastData: forecastData };
+    const now = Date.now();
+    if (cached && now - cached.fetchedAt < maxAgeMs) {
+        ASSET_SYNC_INFO[assetName] = { fetchedAt: cached.fetchedAt, fromCache: true, stale: false };
+        runAssetCacheRequest('readwrite', store => store.put({ ...cached, lastAccess: now })).catch(() => {});
+        return new Response(cached.body, { status: 200 });
+    }
 
+    let response;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+        response = await fetch(url, { signal: controller.signal });
     } catch (error) {
-        console.error(`Network error fetching forecast for ${site.name} from ${finalUrl}:`, error);
-        return { ...site, forecastData: { daily: [], hourly: [] } };
+        if (cached) {
+            console.warn(`Network unavailable for ${assetName}, using cached copy from ${new Date(cached.fetchedAt).toISOString()}.`);
+            ASSET_SYNC_INFO[assetName] = { fetchedAt: cached.fetchedAt, fromCache: true, stale: true };
+            return new Response(cached.body, { status: 200 });
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
     }
-}
 
-function parseForecastCSV(csvText, site) {
-    const lines = csvText.trim().split('\n');
-    if (lines.length < 2) return { daily: [], hourly: [] };
+    if (!response.ok) return response;
 
-    const header = lines[0].split(',');
-    const twlColumnIndex = header.findIndex(h => h.trim().toLowerCase() === 'total_water_level');
-    
-    if (twlColumnIndex === -1) {
-        console.warn(`TWL column not found in CSV header for ${site.id}. Skipping.`);
-        return { daily: [], hourly: [] };
-    }
-    
-    const dataRows = lines.slice(1);
-    const rawTWLData = [];
+    const body = await response.text();
+    ASSET_SYNC_INFO[assetName] = { fetchedAt: now, fromCache: false, stale: false };
+    runAssetCacheRequest('readwrite', store => store.put({ name: cacheKey, body: body, fetchedAt: now, lastAccess: now }))
+        .catch(error => console.warn(`Asset cache write failed for ${assetName}:`, error));
 
-    dataRows.forEach(line => {
-        const cols = line.split(',');
-        if (cols.length > twlColumnIndex) { 
-            const timestamp = cols[0];
-            const twl = parseFloat(cols[twlColumnIndex]);
-            if (!isNaN(twl)) {
-                rawTWLData.push({ timestamp: timestamp, twl: twl });
-            }
-        }
-    });
+    return new Response(body, { status: response.status, statusText: response.statusText });
+}
 
-    // 1. Prepare Daily Summary (7 days)
-    const dailyData = [];
-    for (let i = 0; i < NUM_DAYS; i++) {
-        const startIdx = i * DATA_POINTS_PER_DAY;
-        const endIdx = startIdx + DATA_POINTS_PER_DAY;
-        const dayTWLData = rawTWLData.slice(startIdx, endIdx);
+/**
+ * Cache lifetime of a forecast file: long for completed runs, short for runs that may still be uploading.
+ */
+function getForecastCacheTtl(runId) {
+    const runInfo = AVAILABLE_RUNS.find(run => run.run === runId);
+    const isFinal = runInfo ? runInfo.complete : runId < formatDateToYYYYMMDD(getTargetDate(1));
+    return isFinal ? ASSET_CACHE_TTL_MS.forecastFinal : ASSET_CACHE_TTL_MS.forecastRecent;
+}
+
+// ====================================================================================
+// OFFLINE SUPPORT (SERVICE WORKER + STALE DATA BANNER)
+// ====================================================================================
 
-        if (dayTWLData.length < DATA_POINTS_PER_DAY / 4) break; 
+const LAST_SYNC_STORAGE_KEY = 'safecoast.lastSync';
 
-        const max_twl = dayTWLData.reduce((max, item) => Math.max(max, item.twl), 0);
-        const risk = classifyRisk(max_twl, site.threshold, site.risk_class);
-        
-        const fullDate = getForecastDate(i);
-        
-        dailyData.push({
-            date: fullDate.split(',')[1].trim(), 
-            fullDate: fullDate,
-            max_water_level: parseFloat(max_twl.toFixed(3)),
-            risk: risk
-        });
-    }
+/**
+ * Registers the service worker that keeps the app shell available offline.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
 
-    // 2. Prepare Hourly Data (1-hour resolution from the 10-min data)
-    const fullHourlyData = rawTWLData
-        .filter((_, index) => index % DATA_POINTS_PER_HOUR === 0)
-        .map(item => parseFloat(item.twl.toFixed(3)));
+    navigator.serviceWorker.register('sw.js')
+        .then(reg => console.log(`Service worker registered (scope: ${reg.scope}).`))
+        .catch(error => console.warn("Service worker registration failed:", error));
 
-    return { daily: dailyData, hourly: fullHourlyData };
+    // Click on a watchlist notification shown by the service worker
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'select-site') selectSiteById(event.data.siteId);
+    });
 }
 
 /**
- * Main function to fetch all data, called when the model run time changes.
+ * Returns the last run loaded from the network: { run, syncedAt } or null.
  */
-async function fetchAndProcessAllSites() {
-    // *** NOTE: Ensure getAssetDownloadUrl() is defined and working ***
-    
+function getLastSync() {
     try {
-        const sitesFilename = CONFIG.SITES_FILENAME; 
-        
-         // 1. Get the R2 URL for sites_file.json (synchronous call now)
-         const r2SitesUrl = getAssetDownloadUrl(sitesFilename);
-        
-        // 2. Define the local path (uses BASE_PATH and FILENAME)
-        const localSitesUrl = CONFIG.DATA_BASE_PATH + sitesFilename;
-        
-        // 3. Prioritize GitHub URL. If null, use the local path.
-        let finalSitesUrl = r2SitesUrl;
-        console.log(`Fetching sites configuration from R2 URL: ${finalSitesUrl}`);
-
-        // 4. Fetch the sites configuration file
-        let sitesResponse = await fetch(finalSitesUrl);
-        let rawSitesData;
-        let finalLoadUrl = finalSitesUrl;
-        
-        // MODIFICATION START: Implement robust fallback logic (R2 -> Local)
-        if (!sitesResponse.ok) {
-            // R2 fetch failed, fall back to local path
-            console.warn(`R2 fetch for sites_file.json failed (${sitesResponse.status} ${sitesResponse.statusText}). Retrying with local path: ${localSitesUrl}`);
-            
-            // --- SECOND ATTEMPT WITH LOCAL PATH ---
-            sitesResponse = await fetch(localSitesUrl);
-            finalLoadUrl = localSitesUrl;
+        return JSON.parse(localStorage.getItem(LAST_SYNC_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
 
-            if (!sitesResponse.ok) {
-                // Both R2 and local fetch failed
-                throw new Error(`Failed to load ${sitesFilename}. Final URL tried: ${finalLoadUrl}. Status: ${sitesResponse.status} ${sitesResponse.statusText}`);
-            }
-            console.log("Successfully loaded sites configuration from local path.");
-        }
-        // MODIFICATION END
+/**
+ * Records the run just loaded and shows the stale data banner when what is displayed did not come fresh from the network.
+ */
+function updateDataFreshness() {
+    const syncInfos = SITES
+        .map(site => ASSET_SYNC_INFO[getForecastAssetName(site.id, SELECTED_RUNTIME_DATE)])
+        .filter(info => info);
+    const manifestInfo = ASSET_SYNC_INFO[getAssetName('manifest')];
+
+    // Oldest network download among the files displayed
+    const lastSynced = syncInfos.length > 0 ? Math.min(...syncInfos.map(info => info.fetchedAt)) : null;
+    const isStale = !navigator.onLine
+        || syncInfos.some(info => info.stale)
+        || Boolean(manifestInfo && manifestInfo.stale);
+
+    if (lastSynced && !isStale) {
+        localStorage.setItem(LAST_SYNC_STORAGE_KEY, JSON.stringify({ run: SELECTED_RUNTIME_DATE, syncedAt: lastSynced }));
+    }
 
-        rawSitesData = await sitesResponse.json();
-        let tempSites = transformRawSites(rawSitesData);
-        
-        // Concurrently fetch forecast data for all sites
-        const fetchPromises = tempSites.map(site => fetchAndParseForecast(site));
-        const results = await Promise.all(fetchPromises);
-        
-        SITES = results;
-        
-        if (SITES.length > 0) {
-            populateMapMarkers(); 
-            populateUIControls(); 
+    renderStaleDataBanner(isStale, lastSynced);
+}
 
-            // Trigger the historical tab to initialize now that site data exists
-            const histSelect = document.getElementById('site_hist');
-            if (histSelect) {
-                histSelect.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-            
-            // Set initial site for sidebar if none is selected
-            if (!currentSiteData || !SITES.find(s => s.id === currentSiteData.id)) {
-                currentSiteData = SITES[0];
-            }
+function renderStaleDataBanner(isStale, lastSynced) {
+    const banner = document.getElementById('stale-data-banner');
+    if (!banner) return;
 
-            // Render current state
-            window.handleDaySelection(SELECTED_FORECAST_INDEX);
-        } else {
-            throw new Error("No sites loaded or no data available for selected run date.");
-        }
+    if (!isStale) {
+        banner.style.display = 'none';
+        return;
+    }
 
-    } catch (error) {
-        console.error("Fatal error during data fetch:", error);
-        document.getElementById('forecast-table-body').innerHTML = `
-            <tr><td colspan="3" class="text-center py-4 text-danger">
-                <strong>Data Error:</strong> ${error.message}
-            </td></tr>`;
+    let syncedText = 'never';
+    if (lastSynced) {
+        const syncedDate = new Date(lastSynced);
+        const time = syncedDate.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+        syncedText = syncedDate.toDateString() === new Date().toDateString()
+            ? time
+            : `${syncedDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })} ${time}`;
     }
+
+    banner.innerHTML = `&#9888; ${navigator.onLine ? 'Data source unreachable' : 'Offline'}: showing run ${SELECTED_RUNTIME_DATE}, last synced ${syncedText}`;
+    banner.style.display = 'block';
+}
+
+/**
+ * Refreshes the banner on connectivity changes and reloads the data when the connection comes back.
+ */
+function setupConnectivityListeners() {
+    window.addEventListener('offline', () => updateDataFreshness());
+    window.addEventListener('online', () => {
+        console.log("Connection restored, refreshing data...");
+        fetchAndProcessAllSites();
+    });
 }
 
 // ====================================================================================
-// MAP AND UI RENDERING
+// SITE LOAD STATUS AND RETRY
 // ====================================================================================
 
-function initializeMap() {
-    if (myLeafletMap) return;
-
-    //myLeafletMap = L.map('map', {zoomControl : true}).setView([5.0, 2.0], 6);
-    myLeafletMap = L.map('map', {
-        center: [6.5, -3],        // Central Gulf of Guinea (Good focal point)
-        zoom: 6, 
-        minZoom: 4,               // Prevent zooming too far OUT
-        maxZoom: 16,              // Prevent zooming too far IN
-        maxBoundsViscosity: 1.0   // Strong resistance at edges
-    });
-    // Limit panning to WEST AFRICA bounding box (Cape Verde → Cameroon)
-    const westAfricaBounds = [
-        [ -5, -30 ],    // SW corner
-        [ 26, 15 ]      // NE corner
-    ];
-    myLeafletMap.setMaxBounds(westAfricaBounds);
-    markerLayerGroup = L.layerGroup().addTo(myLeafletMap); 
+const LOAD_MAX_ATTEMPTS = 3;            // First try + 2 retries for transient failures
+const LOAD_RETRY_BASE_DELAY_MS = 1000;  // 1 s, then 2 s
+const FETCH_TIMEOUT_MS = 20000;
+
+const LOAD_STATUS_LABELS = {
+    ok: { label: "Loaded", color: RISK_COLORS["No Flood"] },
+    partial: { label: "Partial data", color: RISK_COLORS["Warning"] },
+    missing: { label: "File missing", color: RISK_COLORS["N/A"] },
+    http_error: { label: "HTTP error", color: RISK_COLORS["Severe Flood"] },
+    network_error: { label: "Network error", color: RISK_COLORS["Severe Flood"] },
+    parse_error: { label: "Parse error", color: RISK_COLORS["High Risk"] },
+    loading: { label: "Loading...", color: RISK_COLORS["N/A"] }
+};
 
-    // ----- BASEMAPS -----------------------------------------------------
-    // ESRI Satellite
-    const esriSatellite = L.tileLayer(
-        "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
-        { attribution: "Tiles © Esri", maxZoom: 19 }
-    );
-    const esriBoundaries = L.tileLayer(
-        "https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}",
-        { attribution: "© Esri", maxZoom: 19 }
-    );
-    const esriLabels = L.tileLayer(
-        "https://{s}.basemaps.cartocdn.com/light_only_labels/{z}/{x}/{y}{r}.png",
-        { subdomains: "abcd", maxZoom: 19 }
-    );
-    // OSM Standard
-    const osmStandard = L.tileLayer(
-        "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
-        { attribution: "© OpenStreetMap contributors", maxZoom: 19 }
-    );
-    // ESRI Labels overlay (optional, not a basemap)
-    const esriHybrid = L.layerGroup([esriSatellite, esriBoundaries]);
+/**
+ * Builds the load status of a site forecast.
+ * @param {string} state - One of the LOAD_STATUS_LABELS keys.
+ */
+function createLoadStatus(state, message = '', attempts = 1, httpStatus = null) {
+    return { state: state, message: message, attempts: attempts, httpStatus: httpStatus };
+}
 
-    // Add default basemap
-    esriHybrid.addTo(myLeafletMap);
+function isTransientLoadStatus(status) {
+    if (status.state === 'network_error') return true;
+    if (status.state !== 'http_error') return false;
+    return status.httpStatus >= 500 || status.httpStatus === 408 || status.httpStatus === 429;
+}
 
-    // ----- LAYER SWITCHER ------------------------------------------------
-    const baseMaps = {"ESRI Satellite": esriHybrid,"OSM Standard": osmStandard};
-    const overlayMaps = {"Forecast Sites": markerLayerGroup};
-    // Add layer control to the map
-    L.control.layers(baseMaps, overlayMaps, { collapsed: true }).addTo(myLeafletMap);
+/**
+ * Sites whose data can be displayed (complete or partial).
+ */
+function isSiteLoaded(site) {
+    return Boolean(site.loadStatus && (site.loadStatus.state === 'ok' || site.loadStatus.state === 'partial'));
+}
 
-    // ----- RESET MAP TO INITIAL STATE------
-    myLeafletMap.on("click", function(e) {
-        if (!e.originalEvent.target.closest('.leaflet-control')) {
-            resetApplication();
-        }
-    });
+/**
+ * Short status text, e.g. "HTTP error (HTTP 503) after 3 attempts".
+ */
+function formatLoadStatus(status) {
+    if (!status) return LOAD_STATUS_LABELS.loading.label;
+    const label = LOAD_STATUS_LABELS[status.state].label;
+    const details = status.message ? ` (${status.message})` : '';
+    const attempts = status.attempts > 1 ? ` after ${status.attempts} attempts` : '';
+    return `${label}${details}${attempts}`;
 }
 
+/**
+ * Renders the "5/6 sites loaded" summary and the "retry failed" action of the sidebar.
+ */
+function renderLoadSummary() {
+    const container = document.getElementById('load-summary');
+    if (!container) return;
+
+    const loadedCount = SITES.filter(isSiteLoaded).length;
+    const failedCount = SITES.filter(site => site.loadStatus && !isSiteLoaded(site)).length;
+    const partialCount = SITES.filter(site => site.loadStatus && site.loadStatus.state === 'partial').length;
+
+    container.innerHTML = `
+        <span>${loadedCount}/${SITES.length} sites loaded${partialCount > 0 ? ` (${partialCount} partial)` : ''}</span>
+        ${failedCount > 0 ? `<button type="button" id="retry-failed-btn" class="btn btn-sm btn-outline-warning py-0">Retry ${failedCount} failed</button>` : ''}
+    `;
+
+    const retryBtn = document.getElementById('retry-failed-btn');
+    if (retryBtn) retryBtn.addEventListener('click', () => retryFailedSites());
+}
+
+/**
+ * Shows the load status of the selected site in the Site Summary card, with a retry action on failure.
+ */
+function renderSiteLoadStatus(site) {
+    const statusEl = document.getElementById('stat-load-status');
+    if (!statusEl) return;
+
+    const status = site.loadStatus;
+    const color = status ? LOAD_STATUS_LABELS[status.state].color : LOAD_STATUS_LABELS.loading.color;
+    const canRetry = status && !isSiteLoaded(site);
+
+    statusEl.innerHTML = `
+        <span style="color: ${color}">&#9679;</span> Data: ${formatLoadStatus(status)}
+        ${canRetry ? `<button type="button" id="retry-site-btn" class="btn btn-sm btn-outline-light py-0 ml-1">Retry</button>` : ''}
+    `;
+
+    const retryBtn = document.getElementById('retry-site-btn');
+    if (retryBtn) retryBtn.addEventListener('click', () => retrySiteLoad(site.id));
+}
+
+/**
+ * Tooltip of a site marker: name and load status.
+ */
+function getMarkerTooltip(site) {
+    const status = site.loadStatus;
+    const color = status ? LOAD_STATUS_LABELS[status.state].color : LOAD_STATUS_LABELS.loading.color;
+    return `<b>${site.name}</b><br><small><span style="color: ${color}">&#9679;</span> ${formatLoadStatus(status)}</small>`;
+}
+
+/**
+ * Replaces a site in SITES and on its marker after a reload, then refreshes the display.
+ */
+function replaceSite(updatedSite) {
+    SITES = SITES.map(site => site.id === updatedSite.id ? updatedSite : site);
+
+    const marker = mapMarkers.find(m => m.options.site.id === updatedSite.id);
+    if (marker) {
+        marker.options.site = updatedSite;
+        marker.setTooltipContent(getMarkerTooltip(updatedSite));
+    }
+    if (siteSegmentLayers[updatedSite.id]) siteSegmentLayers[updatedSite.id].setTooltipContent(getMarkerTooltip(updatedSite));
+    if (currentSiteData && currentSiteData.id === updatedSite.id) currentSiteData = updatedSite;
+
+    renderLoadSummary();
+    window.handleDaySelection(SELECTED_FORECAST_INDEX);
+}
+
+/**
+ * Reloads the forecast of a single site.
+ */
+async function retrySiteLoad(siteId) {
+    const site = SITES.find(s => s.id === siteId);
+    if (!site) return;
+
+    replaceSite({ ...site, loadStatus: null });
+    const updatedSite = await fetchAndParseForecast(site);
+    replaceSite(updatedSite);
+}
+
+async function retryFailedSites() {
+    const failedSites = SITES.filter(site => site.loadStatus && !isSiteLoaded(site));
+    await Promise.all(failedSites.map(site => retrySiteLoad(site.id)));
+}
+
+// ====================================================================================
+// RUN MANIFEST (AVAILABLE MODEL RUNS)
+// ====================================================================================
+
+/**
+ * Normalises a run identifier ('2025-12-06' or '20251206') to YYYYMMDD.
+ */
+function normalizeRunId(value) {
+    const runId = String(value || '').replace(/-/g, '').trim();
+    return /^\d{8}$/.test(runId) ? runId : null;
+}
+
+/**
+ * Fetches the run manifest listing the published runs and their sites.
+ * Expected format: { "runs": [ { "run": "20251206", "issued": "2025-12-06T06:30:00Z", "complete": true, "sites": ["TOGO", ...] } ] }
+ * Returns the runs sorted newest first, or an empty array when no manifest is published.
+ */
+async function fetchRunManifest() {
+    const manifestName = getAssetName('manifest');
+    const manifestUrl = getAssetDownloadUrl(manifestName);
+
+    try {
+        // Always revalidated against the network; the cached copy is only used offline
+        const response = await fetchAssetCached(manifestName, manifestUrl, 0);
+        if (!response.ok) {
+            console.warn(`Run manifest not available at ${manifestUrl} (Status: ${response.status}). Falling back to date window.`);
+            return [];
+        }
+
+        const manifest = await response.json();
+        const runs = (Array.isArray(manifest) ? manifest : manifest.runs || [])
+            .map(entry => ({
+                run: normalizeRunId(entry.run || entry.run_date),
+                issued: entry.issued || entry.issue_time || null,
+                complete: entry.complete !== false,
+                sites: Array.isArray(entry.sites) ? entry.sites : null
+            }))
+            .filter(entry => entry.run);
+
+        runs.sort((a, b) => b.run.localeCompare(a.run));
+        return runs;
+
+    } catch (error) {
+        console.warn(`Failed to read run manifest from ${manifestUrl}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Loads the manifest and selects the newest complete run (or the newest run if none is flagged complete).
+ */
+async function initializeRunSelection() {
+    await selectInitialRun();
+    setupDateSelector();
+    window.handleDaySelection(SELECTED_FORECAST_INDEX);
+    updateOperationalDateDisplay();
+}
+
+/**
+ * Loads the run manifest and sets SELECTED_RUNTIME_DATE to the run to open (deep link, newest published run
+ * or, offline, the last synced run).
+ */
+async function selectInitialRun() {
+    AVAILABLE_RUNS = await fetchRunManifest();
+
+    if (AVAILABLE_RUNS.length > 0) {
+        const latestRun = AVAILABLE_RUNS.find(run => run.complete) || AVAILABLE_RUNS[0];
+        SELECTED_RUNTIME_DATE = latestRun.run;
+        FORECAST_DATE_STRING = latestRun.run;
+        console.log(`Run manifest loaded: ${AVAILABLE_RUNS.length} run(s), starting on ${latestRun.run}.`);
+    } else if (!navigator.onLine && getLastSync()) {
+        // Offline without a manifest: reopen the last run that was fully downloaded
+        SELECTED_RUNTIME_DATE = getLastSync().run;
+        FORECAST_DATE_STRING = SELECTED_RUNTIME_DATE;
+        console.log(`Offline: reopening last synced run ${SELECTED_RUNTIME_DATE}.`);
+    }
+
+    const linkedRun = PENDING_LINK_STATE ? getLinkedRun(PENDING_LINK_STATE) : null;
+    if (linkedRun) {
+        SELECTED_RUNTIME_DATE = linkedRun;
+        FORECAST_DATE_STRING = linkedRun;
+    }
+}
+
+/**
+ * Returns the manifest entry of the selected run, or null.
+ */
+function getSelectedRunInfo() {
+    return AVAILABLE_RUNS.find(run => run.run === SELECTED_RUNTIME_DATE) || null;
+}
+
+/**
+ * Label of a manifest run for the run selector (e.g. "2025-12-06 · issued 06:30 UTC").
+ */
+function formatRunLabel(run) {
+    const dateLabel = `${run.run.substring(0, 4)}-${run.run.substring(4, 6)}-${run.run.substring(6, 8)}`;
+    const issuedDate = run.issued ? new Date(run.issued) : null;
+    const issuedLabel = issuedDate && !isNaN(issuedDate)
+        ? ` · issued ${issuedDate.toISOString().substring(11, 16)} UTC`
+        : '';
+    return `${dateLabel}${issuedLabel}${run.complete ? '' : ' (incomplete)'}`;
+}
+
+/**
+ * Shows the run date and, when known, its issue time in the "Operational Date" box.
+ */
+function updateOperationalDateDisplay() {
+    const display = document.getElementById('current-date-display');
+    if (!display) return;
+
+    const runInfo = getSelectedRunInfo();
+    const issuedDate = runInfo && runInfo.issued ? new Date(runInfo.issued) : null;
+
+    if (issuedDate && !isNaN(issuedDate)) {
+        display.innerText = `${issuedDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })}, ${issuedDate.toISOString().substring(11, 16)} UTC (run ${SELECTED_RUNTIME_DATE})`;
+    } else {
+        const runStart = new Date(getRunStartUTC());
+        display.innerText = `${runStart.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })} (run ${SELECTED_RUNTIME_DATE})`;
+    }
+}
+
+// ====================================================================================
+// UTILITY & DATA FUNCTIONS
+// ====================================================================================
+
+/**
+ * Escapes a value for XML and for HTML text and attributes (values from config files, local storage or the URL).
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Classifies a TWL into the levels of a vigilance scheme. `thresh` is the lower boundary of the
+ * second level and `risk_classes` the ascending lower boundaries of the following ones.
+ */
+function classifyRisk(twl, thresh, risk_classes, levels = VIGILANCE_LEVELS) {
+    const boundaries = [thresh, ...risk_classes];
+    const index = boundaries.filter(boundary => twl >= boundary).length;
+    return levels[Math.min(index, levels.length - 1)].level;
+}
+
+// --- VIGILANCE SCHEMES (vigilance_schemes.json, optional) ---
+// { "schemes": { "<id>": { "name": "...", "levels": [{ "level": "Green", "color": "#28a745", "description": "..." }, ...] } },
+//   "sites": { "<SITE_ID>": { "vigilance_scheme": "<id>", "threshold": 1.5, "risk_class": [...] } } }
+// Levels go from the lowest (no flooding) to the highest. `sites` entries override the matching fields of sites_file.json,
+// so an agency can set its scheme and boundaries per site or country without editing the sites file.
+
+/**
+ * Validates one vigilance scheme definition and returns { scheme, errors }.
+ */
+function validateVigilanceScheme(id, data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || !Array.isArray(data.levels) || data.levels.length < 2) {
+        return { scheme: null, errors: ['scheme must have a "levels" array with at least 2 levels'] };
+    }
+
+    const levels = data.levels.map((level, i) => {
+        if (!level || typeof level.level !== 'string' || level.level.trim() === '') errors.push(`levels[${i}].level is missing`);
+        if (!level || typeof level.color !== 'string' || level.color.trim() === '') errors.push(`levels[${i}].color is missing`);
+        return {
+            level: level && typeof level.level === 'string' ? level.level.trim() : '',
+            color: level && typeof level.color === 'string' ? level.color.trim() : RISK_COLORS["N/A"],
+            description: level && typeof level.description === 'string' ? level.description : ''
+        };
+    });
+    const labels = levels.map(level => level.level);
+    if (new Set(labels).size !== labels.length) errors.push('level labels must be unique');
+
+    if (errors.length > 0) return { scheme: null, errors: errors };
+    return { scheme: { id: id, name: typeof data.name === 'string' ? data.name : id, levels: levels }, errors: errors };
+}
+
+/**
+ * Loads the optional vigilance scheme file of the data source.
+ * Returns { schemes, sites, issues }; only the default scheme is available when the file is not published.
+ */
+async function fetchVigilanceSchemes() {
+    const assetName = getAssetName('schemes');
+    const schemes = { [DEFAULT_VIGILANCE_SCHEME_ID]: VIGILANCE_SCHEMES[DEFAULT_VIGILANCE_SCHEME_ID] };
+    const result = { schemes: schemes, sites: {}, issues: [] };
+
+    try {
+        const response = await fetchAssetCached(assetName, getAssetDownloadUrl(assetName), ASSET_CACHE_TTL_MS.sites);
+        if (!response.ok) {
+            console.log(`No vigilance scheme file (${assetName}, Status: ${response.status}). Using the default scheme.`);
+            return result;
+        }
+
+        const data = await response.json();
+        Object.entries(data.schemes || {}).forEach(([id, definition]) => {
+            const validation = validateVigilanceScheme(id, definition);
+            if (validation.scheme) {
+                schemes[id] = validation.scheme;
+            } else {
+                console.error(`Vigilance scheme ${id} skipped: ${validation.errors.join('; ')}`);
+                result.issues.push({ siteId: `scheme ${id}`, level: 'error', message: validation.errors.join('; ') });
+            }
+        });
+        if (data.sites && typeof data.sites === 'object') result.sites = data.sites;
+    } catch (error) {
+        console.warn(`Failed to load vigilance schemes ${assetName}:`, error);
+    }
+    return result;
+}
+
+/**
+ * Levels of the vigilance scheme of a site (default scheme when the site has none).
+ */
+function getSiteLevels(site) {
+    return site && site.scheme ? site.scheme.levels : VIGILANCE_LEVELS;
+}
+
+/**
+ * Position of a risk label in the scheme of a site (0 = no flooding), -1 for "N/A" or unknown labels.
+ */
+function getRiskIndex(risk, site) {
+    return getSiteLevels(site).findIndex(config => config.level === risk);
+}
+
+/**
+ * Colour of a risk label in the scheme of a site.
+ */
+function getRiskColor(risk, site) {
+    const config = getSiteLevels(site).find(level => level.level === risk);
+    return config ? config.color : (RISK_COLORS[risk] || RISK_COLORS["N/A"]);
+}
+
+// --- SITE DEFINITIONS (sites_file.json) ---
+// Required: city, lat_cible, lon_cible, threshold, risk_class (ascending boundaries above threshold, one per level
+//           above the second level of the scheme: [high_risk, severe_flood] with the default scheme).
+// Optional: timezone (IANA, e.g. "Africa/Lome"), datum (e.g. "MSL"), names ({ "en": "...", "fr": "..." }),
+//           bbox ([min_lon, min_lat, max_lon, max_lat] coastline extent), active (default true),
+//           vigilance_scheme (scheme ID from vigilance_schemes.json, or an inline { "name", "levels" } object),
+//           country (name used for the roll-ups of the risk matrix, default: the site ID, e.g. "IVORY COAST").
+
+// Issues found in the last loaded sites file: { siteId, level: 'error' | 'warning', message }
+let SITE_CONFIG_ISSUES = [];
+
+/**
+ * Validates one site definition and returns { site, errors, warnings }.
+ * `site` is null when the definition has errors and cannot be used.
+ */
+function validateSiteDefinition(id, data, schemes = VIGILANCE_SCHEMES) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { site: null, errors: ['definition must be an object'], warnings: warnings };
+    }
+
+    let scheme = schemes[DEFAULT_VIGILANCE_SCHEME_ID];
+    if (typeof data.vigilance_scheme === 'string') {
+        scheme = schemes[data.vigilance_scheme] || null;
+        if (!scheme) errors.push(`vigilance_scheme "${data.vigilance_scheme}" is not defined`);
+    } else if (data.vigilance_scheme !== undefined) {
+        const validation = validateVigilanceScheme(`${id}-inline`, data.vigilance_scheme);
+        scheme = validation.scheme;
+        validation.errors.forEach(message => errors.push(`vigilance_scheme: ${message}`));
+    }
+
+    // Numbers written as strings are accepted with a warning; anything else is an error
+    const readNumber = (field, min, max) => {
+        let value = data[field];
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+            warnings.push(`${field} is a string ("${value}"), read as a number`);
+            value = Number(value);
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            errors.push(`${field} is missing or not a number`);
+            return null;
+        }
+        if (value < min || value > max) {
+            errors.push(`${field} (${value}) is outside [${min}, ${max}]`);
+            return null;
+        }
+        return value;
+    };
+
+    if (typeof data.city !== 'string' || data.city.trim() === '') errors.push('city is missing');
+
+    const lat = readNumber('lat_cible', -90, 90);
+    const lng = readNumber('lon_cible', -180, 180);
+    const threshold = readNumber('threshold', -10, 20);
+
+    // One boundary per level above the second level of the scheme
+    let riskClass = null;
+    const boundaryLabels = scheme ? scheme.levels.slice(2).map(level => level.level) : null;
+    if (boundaryLabels && (!Array.isArray(data.risk_class) || data.risk_class.length !== boundaryLabels.length)) {
+        errors.push(`risk_class must list ${boundaryLabels.length} number(s) [${boundaryLabels.join(', ')}]`);
+    } else if (boundaryLabels) {
+        riskClass = data.risk_class.map(Number);
+        if (riskClass.some(v => !isFinite(v))) {
+            errors.push('risk_class must contain numbers only');
+            riskClass = null;
+        } else if (riskClass.some((v, i) => i > 0 && v <= riskClass[i - 1])) {
+            errors.push(`risk_class ${JSON.stringify(data.risk_class)} must be ascending`);
+        } else if (threshold !== null && riskClass.length > 0 && riskClass[0] <= threshold) {
+            errors.push(`risk_class[0] (${riskClass[0]}) must be above threshold (${threshold})`);
+        }
+    }
+
+    // --- Optional fields ---
+    let timezone = 'UTC';
+    if (data.timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: data.timezone });
+            timezone = data.timezone;
+        } catch (error) {
+            warnings.push(`timezone "${data.timezone}" is not a valid IANA time zone, using UTC`);
+        }
+    }
+
+    let datum = null;
+    if (data.datum !== undefined) {
+        if (typeof data.datum === 'string' && data.datum.trim() !== '') datum = data.datum.trim();
+        else warnings.push('datum must be a non-empty string, ignored');
+    }
+
+    const names = {};
+    if (data.names !== undefined) {
+        if (data.names && typeof data.names === 'object' && !Array.isArray(data.names)) {
+            Object.entries(data.names).forEach(([lang, value]) => {
+                if (typeof value === 'string' && value.trim() !== '') names[lang.toLowerCase()] = value.trim();
+                else warnings.push(`names.${lang} must be a non-empty string, ignored`);
+            });
+        } else {
+            warnings.push('names must be an object such as { "en": "...", "fr": "..." }, ignored');
+        }
+    }
+
+    let bbox = null;
+    if (Array.isArray(data.bbox) && data.bbox.length > 0) {
+        const values = data.bbox.map(Number);
+        if (values.length !== 4 || values.some(v => !isFinite(v))) {
+            warnings.push('bbox must be [min_lon, min_lat, max_lon, max_lat], ignored');
+        } else if (values[0] >= values[2] || values[1] >= values[3]) {
+            warnings.push(`bbox ${JSON.stringify(data.bbox)} has min values above max values, ignored`);
+        } else {
+            bbox = values;
+            if (lat !== null && lng !== null && (lng < values[0] || lng > values[2] || lat < values[1] || lat > values[3])) {
+                warnings.push('site coordinates are outside its bbox');
+            }
+        }
+    } else if (data.bbox !== undefined && !Array.isArray(data.bbox)) {
+        warnings.push('bbox must be an array, ignored');
+    }
+
+    let country = null;
+    if (data.country !== undefined) {
+        if (typeof data.country === 'string' && data.country.trim() !== '') country = data.country.trim();
+        else warnings.push('country must be a non-empty string, ignored');
+    }
+
+    let active = true;
+    if (data.active !== undefined) {
+        if (typeof data.active === 'boolean') active = data.active;
+        else warnings.push('active must be true or false, site kept active');
+    }
+
+    if (errors.length > 0) return { site: null, errors: errors, warnings: warnings };
+
+    const siteIdName = id.replace(/-/g, ' ').toUpperCase(); 
+    const displayName = `${names.en || data.city} (${siteIdName})`;
+
+    return {
+        site: {
+            id: id,
+            name: displayName,
+            city: data.city,
+            names: names,
+            lat: lat, 
+            lng: lng, 
+            threshold: threshold, 
+            risk_class: riskClass, 
+            scheme: scheme,
+            timezone: timezone,
+            datum: datum,
+            bbox: bbox,
+            country: country || siteIdName,
+            active: active,
+            forecastData: null
+        },
+        errors: errors,
+        warnings: warnings
+    };
+}
+
+/**
+ * Validates sites_file.json and returns the usable, active sites.
+ * `schemeConfig` comes from fetchVigilanceSchemes(); its `sites` entries override the sites file.
+ * Invalid definitions are skipped and reported in SITE_CONFIG_ISSUES.
+ */
+function transformRawSites(rawData, schemeConfig = {}) {
+    if (!rawData || typeof rawData !== 'object' || Array.isArray(rawData)) {
+        throw new Error(`${getAssetName('sites')} must be an object keyed by site ID.`);
+    }
+
+    SITE_CONFIG_ISSUES = [...(schemeConfig.issues || [])];
+    if (schemeConfig.schemes) VIGILANCE_SCHEMES = schemeConfig.schemes;
+    const siteOverrides = schemeConfig.sites || {};
+    const sites = [];
+
+    Object.entries(rawData).forEach(([id, data]) => {
+        const definition = siteOverrides[id] && data && typeof data === 'object' ? { ...data, ...siteOverrides[id] } : data;
+        const result = validateSiteDefinition(id, definition);
+        result.errors.forEach(message => SITE_CONFIG_ISSUES.push({ siteId: id, level: 'error', message: message }));
+        result.warnings.forEach(message => SITE_CONFIG_ISSUES.push({ siteId: id, level: 'warning', message: message }));
+
+        if (!result.site) {
+            console.error(`Site ${id} skipped, invalid definition: ${result.errors.join('; ')}`);
+            return;
+        }
+        if (result.warnings.length > 0) console.warn(`Site ${id}: ${result.warnings.join('; ')}`);
+        if (!result.site.active) {
+            console.log(`Site ${id} is inactive. Skipped.`);
+            return;
+        }
+        sites.push(result.site);
+    });
+
+    renderSiteConfigIssues();
+    return sites;
+}
+
+/**
+ * Display name of a site in a given language, falling back to the default name.
+ */
+function getSiteDisplayName(site, lang = 'en') {
+    const localName = site.names && site.names[lang];
+    return localName ? `${localName} (${site.id.replace(/-/g, ' ').toUpperCase()})` : site.name;
+}
+
+/**
+ * Lists the problems found in sites_file.json at the top of the sidebar.
+ */
+function renderSiteConfigIssues() {
+    const container = document.getElementById('site-config-issues');
+    if (!container) return;
+
+    if (SITE_CONFIG_ISSUES.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const errorCount = SITE_CONFIG_ISSUES.filter(issue => issue.level === 'error').length;
+    const summary = errorCount > 0
+        ? `${errorCount} site definition error(s): site(s) skipped`
+        : `${SITE_CONFIG_ISSUES.length} site definition warning(s)`;
+
+    container.innerHTML = `
+        <details class="site-config-issues ${errorCount > 0 ? 'text-danger' : 'text-warning'}">
+            <summary>&#9888; ${summary}</summary>
+            <ul class="mb-0 pl-3">
+                ${SITE_CONFIG_ISSUES.map(issue => `<li><strong>${escapeXml(issue.siteId)}</strong>: ${escapeXml(issue.message)}</li>`).join('')}
+            </ul>
+        </details>
+    `;
+}
+
+/**
+ * Returns the short site ID used in file names (e.g. "TWL_Baguida_TOGO" -> "TOGO").
+ */
+function getShortSiteId(siteId) {
+    const parts = siteId.split('_');
+    return parts[parts.length - 1];
+}
+
+/**
+ * Returns the forecast file name of a site for a run (e.g. "all_twl_data_TOGO_20251206.csv").
+ * The actual files use a short ID (e.g., TOGO), which is the last part of the site ID.
+ */
+function getForecastAssetName(siteId, runDate) {
+    return getAssetName('forecast', { site: getShortSiteId(siteId), run: runDate });
+}
+
+/**
+ * Fetches and parses the forecast CSV for a single site, for the selected run unless `runId` is given.
+ * The returned site carries a `loadStatus` (see createLoadStatus) describing how the load went.
+ */
+async function fetchAndParseForecast(site, runId = SELECTED_RUNTIME_DATE) {
+    const siteId = site.id; // e.g., "TWL_Baguida_TOGO"
+    // The run date (e.g., '2025-12-06') is converted to the required file format (e.g., '20251206').
+    const runDate = runId.replace(/-/g, '');
+
+    const assetName = getForecastAssetName(siteId, runDate);
+    const finalUrl = getAssetDownloadUrl(assetName);
+    const emptyData = { daily: [], hourly: [] };
+
+    // Transient failures (network, timeout, 5xx, 408, 429) are retried with exponential backoff
+    for (let attempt = 1; attempt <= LOAD_MAX_ATTEMPTS; attempt++) {
+        let status;
+        try {
+            const response = await fetchAssetCached(assetName, finalUrl, getForecastCacheTtl(runDate));
+            
+            if (!response.ok) {
+                console.warn(`Forecast data failed to download for ${site.name} from R2 ${finalUrl}. Status: ${response.status}`);
+                status = response.status === 404 || response.status === 403
+                    ? createLoadStatus('missing', `${assetName} not found`, attempt, response.status)
+                    : createLoadStatus('http_error', `HTTP ${response.status} ${response.statusText || ''}`.trim(), attempt, response.status);
+            } else {
+                const csvText = await response.text();
+                const forecastData = parseForecastCSV(csvText, site, runDate);
+
+                if (forecastData.error || forecastData.daily.length === 0) {
+                    const message = forecastData.error || 'No usable rows';
+                    return { ...site, forecastData: emptyData, loadStatus: createLoadStatus('parse_error', message, attempt) };
+                }
+
+                const quality = forecastData.quality;
+                const isPartial = quality.missingDays.length > 0 || quality.incompleteDays.length > 0 || quality.gaps.length > 0;
+                const loadStatus = isPartial
+                    ? createLoadStatus('partial', `${NUM_DAYS - quality.missingDays.length}/${NUM_DAYS} days, ${quality.gaps.length} gap(s)`, attempt)
+                    : createLoadStatus('ok', '', attempt);
+                return { ...site, forecastData: forecastData, loadStatus: loadStatus };
+            }
+        } catch (error) {
+            console.error(`Network error fetching forecast for ${site.name} from ${finalUrl}:`, error);
+            status = createLoadStatus('network_error', error.name === 'AbortError' ? 'Request timed out' : error.message, attempt);
+        }
+
+        if (!isTransientLoadStatus(status) || attempt === LOAD_MAX_ATTEMPTS) {
+            return { ...site, forecastData: emptyData, loadStatus: status };
+        }
+
+        const delay = LOAD_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+        console.log(`Retrying forecast for ${site.name} in ${delay} ms (attempt ${attempt + 1}/${LOAD_MAX_ATTEMPTS})...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Parses a CSV timestamp (e.g. '2025-12-06 06:00:00') and returns epoch milliseconds.
+ * Model output is in UTC, so timestamps without an explicit offset are read as UTC.
+ * Returns NaN when the value cannot be parsed.
+ */
+function parseTimestampUTC(value) {
+    if (!value) return NaN;
+    let str = value.trim().replace(/"/g, '').replace(' ', 'T');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(str)) str += 'T00:00:00';
+    if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(str)) str += 'Z';
+    return Date.parse(str);
+}
+
+/**
+ * Returns the UTC calendar day (YYYY-MM-DD) of an epoch timestamp.
+ */
+function formatDateKeyUTC(timeMs) {
+    return new Date(timeMs).toISOString().split('T')[0];
+}
+
+/**
+ * Returns 00:00 UTC of a model run date (defaults to the selected run), in epoch milliseconds.
+ */
+function getRunStartUTC(runDate = SELECTED_RUNTIME_DATE) {
+    const year = parseInt(runDate.substring(0, 4));
+    const month = parseInt(runDate.substring(4, 6)) - 1;
+    const day = parseInt(runDate.substring(6, 8));
+    return Date.UTC(year, month, day);
+}
+
+/**
+ * Detects the time step (minutes) of a sorted series as the median spacing between samples.
+ */
+function detectTimeStepMinutes(series) {
+    const diffs = [];
+    for (let i = 1; i < series.length; i++) {
+        diffs.push((series[i].time - series[i - 1].time) / MS_PER_MINUTE);
+    }
+    if (diffs.length === 0) return TIME_INTERVAL_MINUTES;
+
+    diffs.sort((a, b) => a - b);
+    const median = diffs[Math.floor(diffs.length / 2)];
+    return median > 0 ? median : TIME_INTERVAL_MINUTES;
+}
+
+function parseForecastCSV(csvText, site, runDate = SELECTED_RUNTIME_DATE) {
+    const lines = csvText.trim().split(/\r?\n/);
+    if (lines.length < 2) return { daily: [], hourly: [], error: 'Empty file' };
+
+    const header = lines[0].replace(/"/g, '').split(',').map(h => h.trim().toLowerCase());
+    const twlColumnIndex = header.findIndex(h => h === 'total_water_level');
+    
+    if (twlColumnIndex === -1) {
+        console.warn(`TWL column not found in CSV header for ${site.id}. Skipping.`);
+        return { daily: [], hourly: [], error: 'total_water_level column not found' };
+    }
+    
+    // Optional component columns (tide, surge, wave runup), depending on the model output version
+    const componentColumns = FORECAST_COMPONENTS
+        .map(comp => ({ key: comp.key, index: header.findIndex((h, i) => i > 0 && i !== twlColumnIndex && comp.match(h)) }))
+        .filter(col => col.index !== -1);
+
+    // Optional probabilistic columns: quantiles (twl_p10, twl_p50, twl_p90) or ensemble members (member_01, ens_02...)
+    const quantileColumns = header
+        .map((h, i) => ({ percent: (h.match(/^twl_p(\d{1,2})$/) || [])[1], index: i }))
+        .filter(col => col.percent !== undefined)
+        .map(col => ({ percent: parseInt(col.percent), index: col.index }))
+        .sort((a, b) => a.percent - b.percent);
+    const memberColumnIndexes = header
+        .map((h, i) => /^(twl_)?(member|mem|ens)_?\d+$/.test(h) ? i : -1)
+        .filter(i => i !== -1);
+
+    // Column 0 holds the timestamp of each sample
+    const series = [];
+    let invalidRows = 0;
+
+    lines.slice(1).forEach(line => {
+        const cols = line.split(',');
+        const time = parseTimestampUTC(cols[0]);
+        const twl = parseFloat(cols[twlColumnIndex]);
+        if (isNaN(time) || isNaN(twl)) {
+            invalidRows++;
+            return;
+        }
+        const item = { time: time, twl: twl };
+        if (componentColumns.length > 0) {
+            item.components = {};
+            componentColumns.forEach(col => {
+                const value = parseFloat(cols[col.index]);
+                item.components[col.key] = isNaN(value) ? null : value;
+            });
+        }
+        if (memberColumnIndexes.length > 0) {
+            item.members = memberColumnIndexes.map(i => {
+                const value = parseFloat(cols[i]);
+                return isNaN(value) ? null : value;
+            });
+        }
+        if (quantileColumns.length > 0) {
+            item.quantiles = {};
+            quantileColumns.forEach(col => {
+                const value = parseFloat(cols[col.index]);
+                item.quantiles[col.percent] = isNaN(value) ? null : value;
+            });
+        } else if (item.members && item.members.some(v => v !== null)) {
+            const sortedMembers = item.members.filter(v => v !== null).sort((a, b) => a - b);
+            item.quantiles = {};
+            ENSEMBLE_QUANTILES.forEach(p => item.quantiles[p] = computeQuantile(sortedMembers, p / 100));
+        }
+        series.push(item);
+    });
+
+    if (invalidRows > 0) {
+        console.warn(`${invalidRows} row(s) with an unreadable timestamp or TWL ignored in forecast CSV for ${site.id}.`);
+    }
+
+    // Sort by time and drop duplicated timestamps
+    series.sort((a, b) => a.time - b.time);
+    const uniqueSeries = series.filter((item, i) => i === 0 || item.time !== series[i - 1].time);
+
+    return buildScenarioSummary(uniqueSeries, site, {
+        runDate: runDate,
+        invalidRows: invalidRows,
+        componentKeys: componentColumns.map(col => col.key),
+        quantilePercents: quantileColumns.length > 0
+            ? quantileColumns.map(col => col.percent)
+            : (memberColumnIndexes.length > 0 ? ENSEMBLE_QUANTILES : []),
+        hasMembers: memberColumnIndexes.length > 0
+    });
+}
+
+/**
+ * Linear-interpolated quantile (p in 0-1) of an ascending array.
+ */
+function computeQuantile(sortedValues, p) {
+    if (sortedValues.length === 0) return null;
+    const pos = (sortedValues.length - 1) * p;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (pos - lower);
+}
+
+/**
+ * Estimates the probability that the daily maximum reaches `level` from the daily maxima of each
+ * quantile series. The daily max of the pXX series is used as the pXX of the daily max (usual approximation).
+ * Outside the published quantile range the value is a bound: 'min' (at least) or 'max' (at most).
+ */
+function estimateExceedanceFromQuantiles(quantileMax, percents, level) {
+    const points = [];
+    percents.forEach(p => {
+        const value = quantileMax[p];
+        if (value === null || value === undefined) return;
+        // Keep the quantile curve monotonic if the published columns cross
+        const previous = points.length > 0 ? points[points.length - 1].value : -Infinity;
+        points.push({ value: Math.max(value, previous), cdf: p / 100 });
+    });
+    if (points.length === 0) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (level <= first.value) return { probability: 1 - first.cdf, bound: 'min' };
+    if (level >= last.value) return { probability: 1 - last.cdf, bound: 'max' };
+
+    for (let i = 1; i < points.length; i++) {
+        const lo = points[i - 1];
+        const hi = points[i];
+        if (level <= hi.value) {
+            const fraction = hi.value === lo.value ? 1 : (level - lo.value) / (hi.value - lo.value);
+            return { probability: 1 - (lo.cdf + fraction * (hi.cdf - lo.cdf)), bound: null };
+        }
+    }
+    return { probability: 1 - last.cdf, bound: 'max' };
+}
+
+/**
+ * Fraction of ensemble members whose daily maximum reaches `level`.
+ */
+function estimateExceedanceFromMembers(dayData, level) {
+    const memberCount = Math.max(...dayData.map(item => item.members ? item.members.length : 0));
+    if (memberCount === 0) return null;
+
+    let exceeding = 0;
+    for (let m = 0; m < memberCount; m++) {
+        const memberMax = dayData.reduce((max, item) => item.members && item.members[m] !== null && item.members[m] !== undefined ? Math.max(max, item.members[m]) : max, -Infinity);
+        if (memberMax >= level) exceeding++;
+    }
+    return { probability: exceeding / memberCount, bound: null };
+}
+
+/**
+ * Returns the risk of a daily entry for the selected RISK_CLASSIFICATION_MODE, before duration escalation.
+ */
+function getBaseDayRisk(day) {
+    if (!day) return "N/A";
+    if (RISK_CLASSIFICATION_MODE === 'rwc' && day.risk_rwc) return day.risk_rwc;
+    if (RISK_CLASSIFICATION_MODE === 'likely' && day.risk_likely) return day.risk_likely;
+    return day.risk;
+}
+
+/**
+ * Returns the risk of a daily entry, escalated by one level when the exceedance of that level
+ * lasts at least EXCEEDANCE_ESCALATION_HOURS.
+ */
+function getDayRisk(day) {
+    const risk = getBaseDayRisk(day);
+    if (EXCEEDANCE_ESCALATION_HOURS === null || !day || !day.hours_above) return risk;
+
+    // hours_above[i] holds the duration of level i + 1 of the site's scheme
+    const levelIndex = day.hours_above.findIndex(duration => duration.label === risk);
+    if (levelIndex < 0 || levelIndex >= day.hours_above.length - 1) return risk;
+
+    return day.hours_above[levelIndex].hours >= EXCEEDANCE_ESCALATION_HOURS ? day.hours_above[levelIndex + 1].label : risk;
+}
+
+/**
+ * Computes the timing of a day's exceedance from its samples: time of peak, first time at or above
+ * the threshold (onset) and hours at or above the threshold and each risk_class boundary.
+ * Each sample counts for one time step, so gaps shorten the reported durations.
+ */
+function computeExceedanceTiming(dayTWLData, peakItem, site, stepMinutes) {
+    const boundaries = [site.threshold, ...site.risk_class];
+    const levels = getSiteLevels(site);
+    const onsetItem = dayTWLData.find(item => item.twl >= site.threshold);
+
+    return {
+        peak_time: peakItem.time,
+        onset_time: onsetItem ? onsetItem.time : null,
+        hours_above: boundaries.map((level, b) => ({
+            label: levels[b + 1].level,
+            level: level,
+            hours: parseFloat((dayTWLData.filter(item => item.twl >= level).length * stepMinutes / 60).toFixed(2))
+        }))
+    };
+}
+
+/**
+ * Formats an exceedance estimate as a percentage (e.g. "45%", "≥90%", "≤10%").
+ */
+function formatProbability(estimate) {
+    if (!estimate) return '--';
+    const pct = Math.round(estimate.probability * 100);
+    if (estimate.bound === 'min') return `&ge;${pct}%`;
+    if (estimate.bound === 'max') return `&le;${pct}%`;
+    return `${pct}%`;
+}
+
+/**
+ * Groups a sorted TWL series by calendar day and hour from the run date (00:00 UTC, `options.runDate`).
+ * Returns the daily summary, the hourly series (TWL and components) and a data quality report (step, gaps, missing days).
+ */
+function buildForecastSummary(series, site, options = {}) {
+    if (series.length === 0) return { daily: [], hourly: [], error: 'No valid rows' };
+
+    const invalidRows = options.invalidRows || 0;
+    const componentKeys = options.componentKeys || [];
+    const quantilePercents = options.quantilePercents || [];
+
+    const stepMinutes = detectTimeStepMinutes(series);
+    const expectedPerDay = Math.round(24 * 60 / stepMinutes);
+    const runDate = options.runDate || SELECTED_RUNTIME_DATE;
+    const runStart = getRunStartUTC(runDate);
+
+    // 1. Detect gaps between consecutive samples
+    const gaps = [];
+    for (let i = 1; i < series.length; i++) {
+        const spacing = (series[i].time - series[i - 1].time) / MS_PER_MINUTE;
+        if (spacing > stepMinutes * GAP_TOLERANCE_FACTOR) {
+            gaps.push({
+                start: new Date(series[i - 1].time).toISOString(),
+                end: new Date(series[i].time).toISOString(),
+                missingMinutes: spacing - stepMinutes
+            });
+        }
+    }
+
+    // 2. Prepare Daily Summary (7 calendar days from the run date)
+    const dailyData = [];
+    const missingDays = [];
+    const incompleteDays = [];
+
+    for (let i = 0; i < NUM_DAYS; i++) {
+        const dayStart = runStart + i * MS_PER_DAY;
+        const dayEnd = dayStart + MS_PER_DAY;
+        const dayTWLData = series.filter(item => item.time >= dayStart && item.time < dayEnd);
+
+        const fullDate = getForecastDate(i, runDate);
+        const dateKey = formatDateKeyUTC(dayStart);
+
+        if (dayTWLData.length === 0) {
+            missingDays.push(dateKey);
+            dailyData.push({
+                date: fullDate.split(',')[1].trim(),
+                fullDate: fullDate,
+                dateKey: dateKey,
+                max_water_level: null,
+                risk: "N/A",
+                peak_time: null,
+                onset_time: null,
+                hours_above: null,
+                coverage: 0,
+                complete: false,
+                missing: true
+            });
+            continue;
+        }
+
+        const coverage = Math.min(1, dayTWLData.length / expectedPerDay);
+        const complete = dayTWLData.length >= expectedPerDay;
+        if (!complete) incompleteDays.push(dateKey);
+
+        const peakItem = dayTWLData.reduce((peak, item) => item.twl > peak.twl ? item : peak, dayTWLData[0]);
+        const max_twl = peakItem.twl;
+        const risk = classifyRisk(max_twl, site.threshold, site.risk_class, getSiteLevels(site));
+        const timing = computeExceedanceTiming(dayTWLData, peakItem, site, stepMinutes);
+
+        // Component split at the time of the daily peak
+        const peakComponents = {};
+        componentKeys.forEach(key => {
+            const value = peakItem.components ? peakItem.components[key] : null;
+            peakComponents[key] = value === null ? null : parseFloat(value.toFixed(3));
+        });
+
+        // Probabilistic summary: daily max of each quantile, exceedance of threshold and risk_class boundaries
+        let quantileMax = null;
+        let exceedance = null;
+        let riskLikely = risk;
+        let riskRwc = risk;
+        if (quantilePercents.length > 0) {
+            quantileMax = {};
+            quantilePercents.forEach(p => {
+                const values = dayTWLData.map(item => item.quantiles[p]).filter(v => v !== null && v !== undefined);
+                quantileMax[p] = values.length > 0 ? parseFloat(Math.max(...values).toFixed(3)) : null;
+            });
+
+            const boundaries = [site.threshold, ...site.risk_class];
+            exceedance = boundaries.map((level, b) => ({
+                label: getSiteLevels(site)[b + 1].level,
+                level: level,
+                estimate: options.hasMembers
+                    ? estimateExceedanceFromMembers(dayTWLData, level)
+                    : estimateExceedanceFromQuantiles(quantileMax, quantilePercents, level)
+            }));
+
+            const medianPercent = quantilePercents.reduce((best, p) => Math.abs(p - 50) < Math.abs(best - 50) ? p : best, quantilePercents[0]);
+            const upperPercent = quantilePercents[quantilePercents.length - 1];
+            if (quantileMax[medianPercent] !== null) riskLikely = classifyRisk(quantileMax[medianPercent], site.threshold, site.risk_class, getSiteLevels(site));
+            if (quantileMax[upperPercent] !== null) riskRwc = classifyRisk(quantileMax[upperPercent], site.threshold, site.risk_class, getSiteLevels(site));
+        }
+        
+        dailyData.push({
+            date: fullDate.split(',')[1].trim(), 
+            fullDate: fullDate,
+            dateKey: dateKey,
+            max_water_level: parseFloat(max_twl.toFixed(3)),
+            risk: risk,
+            risk_likely: riskLikely,
+            risk_rwc: riskRwc,
+            quantile_max: quantileMax,
+            exceedance: exceedance,
+            peak_time: timing.peak_time,
+            onset_time: timing.onset_time,
+            hours_above: timing.hours_above,
+            peak_components: peakComponents,
+            coverage: parseFloat(coverage.toFixed(3)),
+            complete: complete,
+            missing: false
+        });
+    }
+
+    // 3. Prepare Hourly Data (first sample of each clock hour, null where the hour has no data)
+    const totalHours = NUM_DAYS * 24;
+    const fullHourlyData = new Array(totalHours).fill(null);
+    const fullHourlyComponents = {};
+    componentKeys.forEach(key => fullHourlyComponents[key] = new Array(totalHours).fill(null));
+
+    series.forEach(item => {
+        const hour = Math.floor((item.time - runStart) / MS_PER_HOUR);
+        if (hour >= 0 && hour < totalHours && fullHourlyData[hour] === null) {
+            fullHourlyData[hour] = parseFloat(item.twl.toFixed(3));
+            componentKeys.forEach(key => {
+                const value = item.components ? item.components[key] : null;
+                fullHourlyComponents[key][hour] = value === null ? null : parseFloat(value.toFixed(3));
+            });
+        }
+    });
+
+    // Trim trailing hours beyond the end of the file
+    let lastHour = fullHourlyData.length - 1;
+    while (lastHour >= 0 && fullHourlyData[lastHour] === null) lastHour--;
+    const hourlyData = fullHourlyData.slice(0, lastHour + 1);
+    const hourlyComponents = {};
+    componentKeys.forEach(key => hourlyComponents[key] = fullHourlyComponents[key].slice(0, lastHour + 1));
+
+    const hourlyQuantiles = {};
+    quantilePercents.forEach(p => hourlyQuantiles[p] = new Array(hourlyData.length).fill(null));
+    if (quantilePercents.length > 0) {
+        series.forEach(item => {
+            const hour = Math.floor((item.time - runStart) / MS_PER_HOUR);
+            if (hour < 0 || hour >= hourlyData.length) return;
+            quantilePercents.forEach(p => {
+                const value = item.quantiles ? item.quantiles[p] : null;
+                if (hourlyQuantiles[p][hour] === null && value !== null && value !== undefined) {
+                    hourlyQuantiles[p][hour] = parseFloat(value.toFixed(3));
+                }
+            });
+        });
+    }
+    const missingHours = hourlyData.filter(v => v === null).length;
+
+    if (gaps.length > 0 || missingDays.length > 0 || incompleteDays.length > 0) {
+        console.warn(`Forecast data for ${site.id} is incomplete: ${gaps.length} gap(s), missing days [${missingDays.join(', ')}], incomplete days [${incompleteDays.join(', ')}].`);
+    }
+
+    return {
+        daily: dailyData,
+        hourly: hourlyData,
+        runDate: runDate,
+        hourlyStart: runStart,
+        components: componentKeys,
+        hourlyComponents: hourlyComponents,
+        quantiles: quantilePercents,
+        hourlyQuantiles: hourlyQuantiles,
+        series: series,
+        quality: {
+            stepMinutes: stepMinutes,
+            firstTime: new Date(series[0].time).toISOString(),
+            lastTime: new Date(series[series.length - 1].time).toISOString(),
+            gaps: gaps,
+            missingDays: missingDays,
+            incompleteDays: incompleteDays,
+            missingHours: missingHours,
+            invalidRows: invalidRows
+        }
+    };
+}
+
+// ====================================================================================
+// SEA-LEVEL SCENARIO ("what if" offset on TWL or thresholds)
+// ====================================================================================
+
+// Active scenario: `offset` in metres added to the forecast/historical TWL ('twl') or to the site thresholds ('threshold').
+// An offset of 0 is the operational forecast.
+let SEA_LEVEL_SCENARIO = { offset: 0, target: 'twl' };
+
+function isScenarioActive() {
+    return SEA_LEVEL_SCENARIO.offset !== 0;
+}
+
+/**
+ * Short description of the active scenario (e.g. "+0.20 m on forecast TWL"), empty when none is active.
+ */
+function getScenarioLabel() {
+    if (!isScenarioActive()) return '';
+    const offset = `${SEA_LEVEL_SCENARIO.offset > 0 ? '+' : ''}${SEA_LEVEL_SCENARIO.offset.toFixed(2)} m`;
+    return `${offset} on ${SEA_LEVEL_SCENARIO.target === 'twl' ? 'TWL' : 'thresholds'}`;
+}
+
+/**
+ * Returns the site with its threshold and risk_class boundaries shifted when the scenario targets thresholds.
+ */
+function getScenarioSite(site) {
+    if (!isScenarioActive() || SEA_LEVEL_SCENARIO.target !== 'threshold') return site;
+    const shift = value => parseFloat((value + SEA_LEVEL_SCENARIO.offset).toFixed(3));
+    return { ...site, threshold: shift(site.threshold), risk_class: site.risk_class.map(shift) };
+}
+
+/**
+ * Returns the TWL series with the scenario offset added to TWL, its percentiles/members and the tide (still water level) component.
+ */
+function applyScenarioToSeries(series) {
+    if (!isScenarioActive() || SEA_LEVEL_SCENARIO.target !== 'twl') return series;
+    const offset = SEA_LEVEL_SCENARIO.offset;
+    const shift = value => value === null || value === undefined ? value : value + offset;
+
+    return series.map(item => {
+        const shifted = { ...item, twl: item.twl + offset };
+        if (item.components) shifted.components = { ...item.components, tide: shift(item.components.tide) };
+        if (item.members) shifted.members = item.members.map(shift);
+        if (item.quantiles) {
+            shifted.quantiles = {};
+            Object.entries(item.quantiles).forEach(([p, value]) => shifted.quantiles[p] = shift(value));
+        }
+        return shifted;
+    });
+}
+
+/**
+ * Builds the forecast summary of a parsed series under the active scenario.
+ * The unshifted series and the summary options are kept so the scenario can be changed without a new download.
+ */
+function buildScenarioSummary(series, site, options) {
+    const summary = buildForecastSummary(applyScenarioToSeries(series), getScenarioSite(site), options);
+    summary.baselineSeries = series;
+    summary.summaryOptions = options;
+    summary.scenario = isScenarioActive() ? { ...SEA_LEVEL_SCENARIO } : null;
+    return summary;
+}
+
+/**
+ * Recomputes a forecast summary for the active scenario (no-op for summaries without a parsed series).
+ */
+function recomputeScenarioSummary(forecastData, site) {
+    if (!forecastData || !forecastData.baselineSeries) return forecastData;
+    return buildScenarioSummary(forecastData.baselineSeries, site, forecastData.summaryOptions);
+}
+
+/**
+ * Applies a new scenario to all loaded forecasts (selected and compared runs), the map, the outlook and the historical tab.
+ */
+function setSeaLevelScenario(offset, target) {
+    SEA_LEVEL_SCENARIO = { offset: isFinite(offset) ? offset : 0, target: target === 'threshold' ? 'threshold' : 'twl' };
+
+    SITES = SITES.map(site => ({ ...site, forecastData: recomputeScenarioSummary(site.forecastData, site) }));
+    mapMarkers.forEach(marker => {
+        const updated = SITES.find(s => s.id === marker.options.site.id);
+        if (updated) marker.options.site = updated;
+    });
+    if (currentSiteData) currentSiteData = SITES.find(s => s.id === currentSiteData.id) || currentSiteData;
+
+    Object.keys(RUN_FORECAST_CACHE).forEach(key => {
+        const cached = RUN_FORECAST_CACHE[key];
+        if (cached instanceof Promise) return; // Parsed with the new scenario when it resolves
+        const site = SITES.find(s => key.startsWith(`${s.id}_`));
+        if (site) RUN_FORECAST_CACHE[key] = recomputeScenarioSummary(cached, site);
+    });
+
+    renderScenarioBanner();
+    if (SITES.length > 0) window.handleDaySelection(SELECTED_FORECAST_INDEX);
+
+    // Refresh the event count and the plot of the historical tab
+    const histSelect = document.getElementById('site_hist');
+    if (histSelect && histSelect.value) histSelect.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function renderScenarioBanner() {
+    const banner = document.getElementById('scenario-banner');
+    if (banner) {
+        banner.style.display = isScenarioActive() ? 'block' : 'none';
+        banner.innerHTML = isScenarioActive()
+            ? `&#9888; Scenario: ${getScenarioLabel()}. Not an operational forecast.`
+            : '';
+    }
+    document.body.classList.toggle('scenario-active', isScenarioActive());
+}
+
+function setupScenarioControls() {
+    const offsetInput = document.getElementById('scenario-offset');
+    const targetSelect = document.getElementById('scenario-target');
+    if (!offsetInput || !targetSelect) return;
+
+    const apply = () => setSeaLevelScenario(parseFloat(offsetInput.value) || 0, targetSelect.value);
+    offsetInput.addEventListener('change', apply);
+    targetSelect.addEventListener('change', apply);
+    renderScenarioBanner();
+}
+
+/**
+ * Historical events of a site under the active scenario: peaks (and tide) shifted in 'twl' mode, and for each event
+ * whether it reaches the site threshold with (`above_threshold`) and without (`baseline_above`) the scenario.
+ * Only catalog events are considered: events that stayed below the catalog's selection criteria cannot be added.
+ */
+async function getScenarioEventData(siteId) {
+    const eventData = await fetchAndParseXtremEvents(siteId);
+    const site = SITES.find(s => s.id === siteId);
+    const scenarioSite = site ? getScenarioSite(site) : null;
+    const twlOffset = isScenarioActive() && SEA_LEVEL_SCENARIO.target === 'twl' ? SEA_LEVEL_SCENARIO.offset : 0;
+
+    const events = eventData.events.map(event => {
+        const twlPeak = parseFloat((event.twl_peak + twlOffset).toFixed(3));
+        return {
+            ...event,
+            twl_peak: twlPeak,
+            twl_components: [event.twl_components[0] + twlOffset, event.twl_components[1], event.twl_components[2]],
+            above_threshold: !site || twlPeak >= scenarioSite.threshold,
+            baseline_above: !site || event.twl_peak >= site.threshold
+        };
+    });
+    return { count: eventData.count, events: events };
+}
+
+/**
+ * Downloads sites_file.json (data source first, then the local copy) and returns the validated sites
+ * with their vigilance schemes. Throws when neither file can be loaded.
+ */
+async function fetchSiteDefinitions() {
+    const sitesFilename = getAssetName('sites');
+
+    // 1. Get the data source URL for sites_file.json
+    const r2SitesUrl = getAssetDownloadUrl(sitesFilename);
+
+    // 2. Define the local path (uses BASE_PATH and FILENAME)
+    const localSitesUrl = CONFIG.DATA_BASE_PATH + CONFIG.SITES_FILENAME;
+
+    // 3. Prioritize the data source URL. If it fails, use the local path.
+    console.log(`Fetching sites configuration from ${ACTIVE_DATA_SOURCE.label}: ${r2SitesUrl}`);
+
+    // 4. Fetch the sites configuration file (a network error is handled like a failed download)
+    let sitesResponse = await fetchAssetCached(sitesFilename, r2SitesUrl, ASSET_CACHE_TTL_MS.sites)
+        .catch(error => ({ ok: false, status: 0, statusText: error.message }));
+
+    if (!sitesResponse.ok) {
+        // Data source fetch failed, fall back to the local path
+        console.warn(`Data source fetch for sites_file.json failed (${sitesResponse.status} ${sitesResponse.statusText}). Retrying with local path: ${localSitesUrl}`);
+        sitesResponse = await fetch(localSitesUrl);
+
+        if (!sitesResponse.ok) {
+            // Both the data source and the local fetch failed
+            throw new Error(`Failed to load ${sitesFilename}. Final URL tried: ${localSitesUrl}. Status: ${sitesResponse.status} ${sitesResponse.statusText}`);
+        }
+        console.log("Successfully loaded sites configuration from local path.");
+    }
+
+    return transformRawSites(await sitesResponse.json(), await fetchVigilanceSchemes());
+}
+
+/**
+ * Main function to fetch all data, called when the model run time changes.
+ */
+async function fetchAndProcessAllSites() {
+    // *** NOTE: Ensure getAssetDownloadUrl() is defined and working ***
+    
+    try {
+        let tempSites = await fetchSiteDefinitions();
+        
+        // Concurrently fetch forecast data for all sites (only those listed in the run manifest, if any)
+        const runInfo = getSelectedRunInfo();
+        const fetchPromises = tempSites.map(site => {
+            if (runInfo && runInfo.sites && !runInfo.sites.includes(getShortSiteId(site.id))) {
+                console.warn(`${site.name} is not listed in run ${SELECTED_RUNTIME_DATE} of the manifest. Skipping download.`);
+                return Promise.resolve({
+                    ...site,
+                    forecastData: { daily: [], hourly: [] },
+                    loadStatus: createLoadStatus('missing', `Not published in run ${SELECTED_RUNTIME_DATE}`, 0)
+                });
+            }
+            return fetchAndParseForecast(site);
+        });
+        const [results, coastlineSegments] = await Promise.all([Promise.all(fetchPromises), fetchCoastlineSegments()]);
+        
+        SITES = results.map(site => ({ ...site, coastline: getSiteCoastline(site, coastlineSegments) }));
+        
+        if (SITES.length > 0) {
+            populateMapMarkers();
+            populateCoastlineSegments(); 
+            populateUIControls(); 
+            renderRiskLegend();
+            renderLoadSummary();
+
+            // Follow the link of the page (or of a back/forward navigation) now that the sites exist
+            const linkState = PENDING_LINK_STATE;
+            const linkedSite = linkState ? getLinkedSite(linkState) : null;
+            if (linkState) applyLinkedHistoricalControls(linkState);
+
+            // Trigger the historical tab to initialize now that site data exists
+            const histSelect = document.getElementById('site_hist');
+            if (histSelect) {
+                histSelect.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            
+            // Set initial site for sidebar if none is selected
+            if (linkedSite) {
+                currentSiteData = linkedSite;
+            } else if (!currentSiteData || !SITES.find(s => s.id === currentSiteData.id)) {
+                currentSiteData = SITES[0];
+            }
+
+            // Render current state
+            window.handleDaySelection(SELECTED_FORECAST_INDEX);
+            updateDataFreshness();
+            renderWatchMinLevelOptions();
+            checkWatchlistRises();
+
+            if (linkState) {
+                PENDING_LINK_STATE = null;
+                if (linkedSite && getActiveTab() === 'forecast') selectSiteById(linkedSite.id);
+                syncLinkState();
+            }
+        } else {
+            throw new Error("No sites loaded or no data available for selected run date.");
+        }
+
+    } catch (error) {
+        PENDING_LINK_STATE = null;
+        console.error("Fatal error during data fetch:", error);
+        document.getElementById('forecast-table-body').innerHTML = `
+            <tr><td colspan="3" class="text-center py-4 text-danger">
+                <strong>Data Error:</strong> ${error.message}
+            </td></tr>`;
+    }
+}
+
+// ====================================================================================
+// COASTLINE SEGMENTS
+// ====================================================================================
+
+const COASTLINE_GEOMETRY_TYPES = ['LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'];
+
+/**
+ * Loads the optional companion GeoJSON of coastline segments (one feature per site, `properties.site_id`).
+ * Returns a map of site ID -> GeoJSON feature; empty when the file is not published.
+ */
+async function fetchCoastlineSegments() {
+    const assetName = getAssetName('coastline');
+    const segments = {};
+
+    try {
+        const response = await fetchAssetCached(assetName, getAssetDownloadUrl(assetName), ASSET_CACHE_TTL_MS.sites);
+        if (!response.ok) {
+            console.log(`No coastline segments file (${assetName}, Status: ${response.status}). Using site bbox or markers only.`);
+            return segments;
+        }
+
+        const geojson = await response.json();
+        (geojson.features || []).forEach(feature => {
+            const siteId = feature.properties && feature.properties.site_id;
+            const type = feature.geometry && feature.geometry.type;
+            if (!siteId || !COASTLINE_GEOMETRY_TYPES.includes(type)) {
+                console.warn(`Coastline feature ignored in ${assetName}: needs properties.site_id and a line or polygon geometry.`);
+                return;
+            }
+            segments[siteId] = feature;
+        });
+    } catch (error) {
+        console.warn(`Failed to load coastline segments ${assetName}:`, error);
+    }
+    return segments;
+}
+
+/**
+ * Returns the coastline geometry of a site: its companion GeoJSON feature, else a polygon from its bbox, else null.
+ */
+function getSiteCoastline(site, segments) {
+    if (segments[site.id]) return segments[site.id];
+    if (!site.bbox) return null;
+
+    const [minLon, minLat, maxLon, maxLat] = site.bbox;
+    return {
+        type: 'Feature',
+        properties: { site_id: site.id, source: 'bbox' },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]
+        }
+    };
+}
+
+/**
+ * Draws the coastline segment of each site that has one. Point markers stay on the map as click targets
+ * and as the only symbol of sites without a segment.
+ */
+function populateCoastlineSegments() {
+    if (!segmentLayerGroup) return;
+    segmentLayerGroup.clearLayers();
+    siteSegmentLayers = {};
+
+    SITES.forEach(site => {
+        if (!site.coastline) return;
+
+        const layer = L.geoJSON(site.coastline, { style: () => getSegmentStyle("N/A", site) });
+        layer.bindTooltip(getMarkerTooltip(site), { sticky: true });
+        layer.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            const marker = mapMarkers.find(m => m.options.site.id === site.id);
+            if (marker) marker.fire('click');
+        });
+        layer.addTo(segmentLayerGroup);
+        siteSegmentLayers[site.id] = layer;
+    });
+}
+
+/**
+ * Leaflet style of the coastline segment of a site for a risk level (thick line, or translucent polygon).
+ */
+function getSegmentStyle(risk, site) {
+    const color = getRiskColor(risk, site);
+    const isLine = site.coastline.geometry.type.includes('LineString');
+    return {
+        color: color,
+        weight: isLine ? 8 : 2,
+        opacity: 0.9,
+        fillColor: color,
+        fillOpacity: isLine ? 0 : 0.35,
+        lineCap: 'round'
+    };
+}
+
+// ====================================================================================
+// MAP AND UI RENDERING
+// ====================================================================================
+
+function initializeMap() {
+    if (myLeafletMap) return;
+
+    //myLeafletMap = L.map('map', {zoomControl : true}).setView([5.0, 2.0], 6);
+    myLeafletMap = L.map('map', {
+        center: [6.5, -3],        // Central Gulf of Guinea (Good focal point)
+        zoom: 6, 
+        minZoom: 4,               // Prevent zooming too far OUT
+        maxZoom: 16,              // Prevent zooming too far IN
+        maxBoundsViscosity: 1.0   // Strong resistance at edges
+    });
+    // Limit panning to WEST AFRICA bounding box (Cape Verde → Cameroon)
+    const westAfricaBounds = [
+        [ -5, -30 ],    // SW corner
+        [ 26, 15 ]      // NE corner
+    ];
+    myLeafletMap.setMaxBounds(westAfricaBounds);
+    markerLayerGroup = L.layerGroup().addTo(myLeafletMap); 
+    segmentLayerGroup = L.layerGroup().addTo(myLeafletMap);
+
+    // ----- BASEMAPS -----------------------------------------------------
+    // ESRI Satellite
+    const esriSatellite = L.tileLayer(
+        "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+        { attribution: "Tiles © Esri", maxZoom: 19 }
+    );
+    const esriBoundaries = L.tileLayer(
+        "https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}",
+        { attribution: "© Esri", maxZoom: 19 }
+    );
+    const esriLabels = L.tileLayer(
+        "https://{s}.basemaps.cartocdn.com/light_only_labels/{z}/{x}/{y}{r}.png",
+        { subdomains: "abcd", maxZoom: 19 }
+    );
+    // OSM Standard
+    const osmStandard = L.tileLayer(
+        "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+        { attribution: "© OpenStreetMap contributors", maxZoom: 19 }
+    );
+    // ESRI Labels overlay (optional, not a basemap)
+    const esriHybrid = L.layerGroup([esriSatellite, esriBoundaries]);
+
+    // Add default basemap
+    esriHybrid.addTo(myLeafletMap);
+
+    // ----- LAYER SWITCHER ------------------------------------------------
+    const baseMaps = {"ESRI Satellite": esriHybrid,"OSM Standard": osmStandard};
+    const overlayMaps = {"Forecast Sites": markerLayerGroup, "Coastline Segments": segmentLayerGroup};
+    // Add layer control to the map
+    L.control.layers(baseMaps, overlayMaps, { collapsed: true }).addTo(myLeafletMap);
+
+    // ----- RESET MAP TO INITIAL STATE------
+    myLeafletMap.on("click", function(e) {
+        if (!e.originalEvent.target.closest('.leaflet-control')) {
+            resetApplication();
+        }
+    });
+}
+
+
+/**
+ * Marker of a site coloured by the model risk. An issued warning is shown as a square badge with its level next to it.
+ */
+function createMarkerIcon(risk, site, issuedWarning = null) {
+    const color = getRiskColor(risk, site);
+    const topIndex = getSiteLevels(site).length - 1;
+    const isSevere = topIndex > 1 && getRiskIndex(risk, site) === topIndex; // Top level of the scheme pulses
+    const issuedBadge = issuedWarning
+        ? `<div class="issued-warning-badge" style="background-color: ${getRiskColor(issuedWarning.level, site)};" title="Issued: ${issuedWarning.level} (model: ${risk})"></div>`
+        : '';
+    
+    const markerHtml = `
+        <div class="${isSevere ? 'pulse-severe' : ''}" style="
+            background-color: ${color};
+            width: 25px;
+            height: 25px;
+            border-radius: 50%;
+            border: 1px solid white;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.4);
+        "></div>
+        ${issuedBadge}
+    `;
+
+    return L.divIcon({
+        className: 'custom-marker',
+        html: markerHtml,
+        iconSize: [18, 18],
+        iconAnchor: [9, 9]
+    });
+}
+
+function populateMapMarkers() {
+    // Clear existing markers
+    mapMarkers.forEach(marker => myLeafletMap.removeLayer(marker));
+    mapMarkers = [];
+
+    SITES.forEach(site => {
+        // Markers will be updated by handleDaySelection() after this
+        const initialRisk = "N/A";
+        const initialIcon = createMarkerIcon(initialRisk, site);
+
+        const marker = L.marker([site.lat, site.lng], { site: site, icon: initialIcon }).addTo(myLeafletMap);
+        mapMarkers.push(marker);
+        marker.bindTooltip(getMarkerTooltip(site), {direction: 'top', offset: [0, -10]});
+        
+        marker.on('click', () => {
+            // Read the site from the marker: it is replaced when the site is reloaded
+            const markerSite = marker.options.site;
+            updateSidebar(markerSite);
+            myLeafletMap.flyTo([markerSite.lat, markerSite.lng], 9, { duration: 1.0 });
+            showChartPopup(markerSite, marker);
+            syncLinkState();
+        });
+    });
+}
+
+function populateUIControls() {
+    // Populate Historical Site Selects
+    const siteSelects = document.querySelectorAll('#site_hist');
+    siteSelects.forEach(select => {
+        select.innerHTML = SITES.map(site => 
+            `<option value="${site.id}">${site.name}</option>`
+        ).join('');
+    });
+}
+
+/**
+ * Risk of a site on a forecast day, "N/A" when there is no data.
+ */
+function getSiteDayRisk(site, dayIndex) {
+    const data = site.forecastData;
+    if (data && data.daily.length > dayIndex && data.daily[dayIndex]) {
+        return getDayRisk(data.daily[dayIndex]);
+    }
+    return "N/A";
+}
+
+function renderMapMarkers(dayIndex) {
+    mapMarkers.forEach(marker => {
+        const site = marker.options.site;
+        const risk = getSiteDayRisk(site, dayIndex);
+
+        const icon = createMarkerIcon(risk, site, getIssuedWarning(site, dayIndex));
+        marker.setIcon(icon);
+
+        // Colour the coastline segment of the site with the same risk
+        const segment = siteSegmentLayers[site.id];
+        if (segment) segment.setStyle(getSegmentStyle(risk, site));
+    });
+}
+
+/**
+ * Wires the "Compare Runs" button of the sidebar to the consistency view of the selected site.
+ */
+function setupRunComparisonButton() {
+    const button = document.getElementById('run-comparison-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        if (currentSiteData) showRunComparison(currentSiteData);
+    });
+}
+
+/**
+ * Wires the "most likely" / "reasonable worst case" selector of the risk legend.
+ */
+function setupClassificationModeSelector() {
+    const select = document.getElementById('risk-mode-selector');
+    if (!select) return;
+
+    select.value = RISK_CLASSIFICATION_MODE;
+    select.addEventListener('change', (event) => {
+        RISK_CLASSIFICATION_MODE = event.target.value;
+        window.handleDaySelection(SELECTED_FORECAST_INDEX);
+    });
+
+    const escalationSelect = document.getElementById('escalation-hours-selector');
+    if (!escalationSelect) return;
+
+    escalationSelect.value = EXCEEDANCE_ESCALATION_HOURS === null ? 'off' : String(EXCEEDANCE_ESCALATION_HOURS);
+    escalationSelect.addEventListener('change', (event) => {
+        EXCEEDANCE_ESCALATION_HOURS = event.target.value === 'off' ? null : parseFloat(event.target.value);
+        window.handleDaySelection(SELECTED_FORECAST_INDEX);
+    });
+}
+
+/**
+ * Vigilance schemes used by the loaded sites, with the short IDs of their sites (default scheme when none).
+ */
+function getSchemesInUse() {
+    const schemesInUse = [];
+    SITES.forEach(site => {
+        const entry = schemesInUse.find(item => item.scheme === site.scheme);
+        if (entry) entry.sites.push(getShortSiteId(site.id));
+        else if (site.scheme) schemesInUse.push({ scheme: site.scheme, sites: [getShortSiteId(site.id)] });
+    });
+    if (schemesInUse.length === 0) schemesInUse.push({ scheme: VIGILANCE_SCHEMES[DEFAULT_VIGILANCE_SCHEME_ID], sites: [] });
+    return schemesInUse;
+}
+
+/**
+ * Renders the levels of each vigilance scheme used by the loaded sites (the default scheme before loading).
+ * Schemes are titled with their sites when more than one is in use.
+ */
+function renderRiskLegend() {
+    const legendContent = document.getElementById('legend_content');
+    const schemesInUse = getSchemesInUse();
+
+    legendContent.innerHTML = schemesInUse.map(({ scheme, sites }) => `
+        ${schemesInUse.length > 1 ? `<div class="legend-scheme-title"><small><strong>${scheme.name}</strong> (${sites.join(', ')})</small></div>` : ''}
+        ${scheme.levels.map(config => `
+            <div class="legend-item">
+                <div class="legend-color-box" style="background-color: ${config.color};"></div>
+                <div>
+                    <strong>${config.level}</strong><br>
+                    <small>${config.description}</small>
+                </div>
+            </div>
+        `).join('')}
+    `).join('');
+}
+
+
+function updateSidebar(site) {
+    currentSiteData = site;
+    const data = site.forecastData;
+    
+    document.getElementById('stat-site-name').innerText = site.name;
+    renderWatchButton(site);
+    renderIssuedWarningStat(site);
+    showCapMessage('');
+    document.getElementById('location-subtitle').innerText =
+        `Site Threshold: ${getScenarioSite(site).threshold}m${site.datum ? ` (${site.datum})` : ''} · Local time: ${site.timezone}` +
+        (isScenarioActive() ? ` · Scenario ${getScenarioLabel()}` : '');
+    renderSiteLoadStatus(site);
+
+    if (!data || data.daily.length === 0) {
+        document.getElementById('stat-twl').innerText = "-- m";
+        const riskEl = document.getElementById('stat-risk');
+        riskEl.innerText = "No Data";
+        riskEl.style.color = RISK_COLORS["N/A"];
+        document.getElementById('forecast-table-body').innerHTML = `<tr><td colspan="3" class="text-center py-4 text-slate-400 italic">Data not available for ${site.name}: ${formatLoadStatus(site.loadStatus)}</td></tr>`;
+        renderDataQualityNote(null);
+        return;
+    }
+
+    const selectedDayStatus = data.daily[currentDayIndex];
+    if (!selectedDayStatus) return;
+
+    const riskEl = document.getElementById('stat-risk');
+    if (selectedDayStatus.missing) {
+        document.getElementById('stat-twl').innerText = "-- m";
+        riskEl.innerText = "No Data";
+        riskEl.style.color = RISK_COLORS["N/A"];
+    } else {
+        const selectedRisk = getDayRisk(selectedDayStatus);
+        document.getElementById('stat-twl').innerText = `${selectedDayStatus.max_water_level} m`;
+        riskEl.innerText = selectedRisk;
+        riskEl.style.color = getRiskColor(selectedRisk, site);
+    }
+
+    const tableBody = document.getElementById('forecast-table-body');
+    tableBody.innerHTML = '';
+
+    // Trend of each day's peak against the previous run (loaded in the background)
+    const previousRunId = getRecentRunIds(2)[1];
+    const previousData = previousRunId ? getCachedRunForecast(site.id, previousRunId) : undefined;
+    ensurePreviousRunLoaded(site);
+    
+    data.daily.forEach((day, index) => {
+        const dayRisk = getDayRisk(day);
+        const colorCode = getRiskColor(dayRisk, site);
+        const escalated = dayRisk !== getBaseDayRisk(day);
+        const escalationTitle = escalated ? ` title="Escalated from ${getBaseDayRisk(day)}: exceedance lasts ${EXCEEDANCE_ESCALATION_HOURS} h or more"` : '';
+        const badge = `<span class="px-2 py-0.5 rounded text-[10px] font-bold text-white uppercase tracking-wider" style="background-color: ${colorCode}"${escalationTitle}>${escalated ? '&#8593;&nbsp;' : ''}${dayRisk.replace(' ', '&nbsp;')}</span>`;
+        const isSelected = index === currentDayIndex ? 'bg-info border-info' : 'hover:bg-slate-50'; // Using info for selection
+        
+        let dateCellText = day.fullDate.split(',')[0].trim(); // Weekday name
+
+        // Flag days built from partial data (gaps, late run start, truncated file)
+        const completenessFlag = (!day.missing && !day.complete)
+            ? ` <span class="text-warning" title="Incomplete day: ${Math.round(day.coverage * 100)}% of expected data">&#9888;</span>`
+            : '';
+        const twlCellText = day.missing ? '--' : `${day.max_water_level} m${formatComponentSplit(day.peak_components)}${formatExceedanceTiming(day, site)}`;
+
+        const row = `
+            <tr class="border-b border-slate-50 last:border-0 transition ${isSelected}">
+                <td class="px-2 py-2 font-medium text-slate-700">${dateCellText}${completenessFlag}</td>
+                <td class="px-2 py-2 text-slate-600">${twlCellText}${formatTrendArrow(getPeakTrend(day, previousData))}</td>
+                <td class="px-2 py-2">${day.missing ? `<span class="text-slate-300 italic">No Data</span>` : badge + formatExceedanceSplit(day.exceedance, site)}</td>
+            </tr>
+        `;
+        tableBody.innerHTML += row;
+    });
+
+    renderDataQualityNote(data);
+}
+
+/**
+ * Formats the component split at the daily peak (e.g. "T 0.95 · S 0.12 · R 0.40") for the 7-Day Outlook table.
+ */
+function formatComponentSplit(peakComponents) {
+    if (!peakComponents) return '';
+    const parts = FORECAST_COMPONENTS
+        .filter(comp => peakComponents[comp.key] !== undefined && peakComponents[comp.key] !== null)
+        .map(comp => `<span style="color: ${comp.color}" title="${comp.label}">${comp.short}&nbsp;${peakComponents[comp.key].toFixed(2)}</span>`);
+    return parts.length > 0 ? `<br><small>${parts.join(' &middot; ')}</small>` : '';
+}
+
+/**
+ * Formats a time in the site's local time zone (e.g. "14:30").
+ */
+function formatSiteTime(timeMs, site) {
+    return new Date(timeMs).toLocaleTimeString('en-GB', { timeZone: site.timezone || 'UTC', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Formats the peak time, onset and hours above the threshold and each risk_class boundary of a day
+ * (e.g. "Peak 14:00 · From 09:00 · 5h · 2h · 0h").
+ */
+function formatExceedanceTiming(day, site) {
+    if (!day.peak_time) return '';
+    const parts = [`Peak&nbsp;${formatSiteTime(day.peak_time, site)}`];
+    if (day.onset_time) {
+        parts.push(`From&nbsp;${formatSiteTime(day.onset_time, site)}`);
+        parts.push(day.hours_above.map(d =>
+            `<span title="Hours at or above ${d.label} (${d.level} m)" style="color: ${getRiskColor(d.label, site)}">${d.hours}h</span>`
+        ).join(' &middot; '));
+    }
+    return `<br><small>${parts.join(' &middot; ')}</small>`;
+}
+
+/**
+ * Formats the exceedance probabilities of the threshold and each risk_class boundary (probabilistic runs only).
+ */
+function formatExceedanceSplit(exceedance, site) {
+    if (!exceedance) return '';
+    const parts = exceedance.map(e =>
+        `<span title="Probability of reaching ${e.label} (${e.level} m)" style="color: ${getRiskColor(e.label, site)}">${formatProbability(e.estimate)}</span>`
+    );
+    return `<br><small>P: ${parts.join(' &middot; ')}</small>`;
+}
+
+/**
+ * Summarises gaps and missing/incomplete days of the selected site below the 7-Day Outlook table.
+ */
+function renderDataQualityNote(data) {
+    const noteEl = document.getElementById('forecast-quality-note');
+    if (!noteEl) return;
+
+    const quality = data && data.quality;
+    if (!quality) {
+        noteEl.innerHTML = '';
+        return;
+    }
+
+    const notes = [];
+    if (quality.missingDays.length > 0) notes.push(`${quality.missingDays.length} day(s) without data`);
+    if (quality.incompleteDays.length > 0) notes.push(`${quality.incompleteDays.length} incomplete day(s)`);
+    if (quality.gaps.length > 0) {
+        const largestGapHours = Math.max(...quality.gaps.map(g => g.missingMinutes)) / 60;
+        notes.push(`${quality.gaps.length} gap(s), largest ${largestGapHours.toFixed(1)} h`);
+    }
+
+    noteEl.innerHTML = notes.length > 0
+        ? `&#9888; ${notes.join(' &middot; ')} (time step: ${quality.stepMinutes} min)`
+        : '';
+}
+
+
+// Current view of the popup chart: 'twl', 'stacked' or 'overlaid' (components)
+let POPUP_CHART_VIEW = 'twl';
+let popupChart = null;
+
+/**
+ * Converts a '#rrggbb' color to an 'rgba()' string with the given opacity.
+ */
+function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+function showChartPopup(site, marker) {
+    const data = site.forecastData;
+    
+    if (!data || data.hourly.length === 0) {
+        L.popup()
+            .setLatLng(marker.getLatLng())
+            .setContent(`<div class="p-2 text-center text-red-600 font-semibold">Hourly chart data not available for this site.</div>`)
+            .openOn(myLeafletMap);
+        return;
+    }
+    
+    myLeafletMap.closePopup();
+
+    const displayDate = `${getForecastDate(0)} → ${getForecastDate(Math.ceil(data.hourly.length / 24) - 1)}`;
+    const hasComponents = data.components && data.components.length > 0;
+    if (!hasComponents) POPUP_CHART_VIEW = 'twl';
+
+    // View switch is only offered when the forecast file carries component columns
+    const viewButtons = hasComponents ? `
+            <div id="popup-chart-view" class="btn-group btn-group-sm d-flex justify-content-center mb-1" role="group">
+                ${[['twl', 'TWL'], ['stacked', 'Stacked'], ['overlaid', 'Overlaid']].map(([view, label]) => `
+                    <button type="button" class="btn ${view === POPUP_CHART_VIEW ? 'btn-primary' : 'btn-outline-primary'}" data-view="${view}">${label}</button>
+                `).join('')}
+            </div>` : '';
+
+    const chartHtml = `
+        <div class="chart-popup-container">
+            <h5 class="text-sm font-semibold text-slate-700 text-center mb-1">
+                ${site.name}<br>
+                <span class="text-xs text-slate-500 font-normal">${displayDate}</span>
+            </h5>
+            ${viewButtons}
+            ${formatPopupTimingSummary(site)}
+            <div class="chart-popup-canvas-wrap">
+                <canvas id="popupChartCanvas"></canvas>
+            </div>
+        </div>
+    `;
+    
+    const popup = L.popup({ 
+        closeButton: true, 
+        minWidth: 280, 
+        maxWidth: 550,
+        autoClose: true,
+        className: 'water-level-popup'
+    })
+    .setLatLng(marker.getLatLng())
+    .setContent(chartHtml)
+    .openOn(myLeafletMap);
+    
+    popup.on('remove', () => {
+        if (popupChart) {
+            popupChart.destroy();
+            popupChart = null;
+        }
+        const canvas = document.getElementById('popupChartCanvas');
+        if (canvas) canvas.remove();
+    });
+
+    setTimeout(() => {
+        const viewGroup = document.getElementById('popup-chart-view');
+        if (viewGroup) {
+            viewGroup.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    L.DomEvent.stopPropagation(e);
+                    POPUP_CHART_VIEW = btn.dataset.view;
+                    viewGroup.querySelectorAll('button').forEach(b => {
+                        b.classList.toggle('btn-primary', b === btn);
+                        b.classList.toggle('btn-outline-primary', b !== btn);
+                    });
+                    renderPopupChart(site);
+                });
+            });
+        }
+        renderPopupChart(site);
+    }, 50);
+}
+
+/**
+ * One-line timing summary of the selected day for the chart popup (peak time, onset, duration above threshold).
+ */
+function formatPopupTimingSummary(site) {
+    const day = site.forecastData.daily[currentDayIndex];
+    if (!day || day.missing) return '';
+
+    let text = `${day.date}: peak ${day.max_water_level} m at ${formatSiteTime(day.peak_time, site)}`;
+    if (day.onset_time) {
+        const levels = day.hours_above.filter(d => d.hours > 0).map(d => `${d.hours} h ${d.label}`);
+        text += ` &middot; above threshold from ${formatSiteTime(day.onset_time, site)} &middot; ${levels.join(', ')}`;
+    }
+    return `<div class="text-xs text-slate-600 text-center mb-1">${text} <span class="text-slate-400">(${site.timezone})</span></div>`;
+}
+
+/**
+ * Builds the Chart.js datasets of the popup for the current POPUP_CHART_VIEW.
+ */
+function buildPopupChartDatasets(site) {
+    const data = site.forecastData;
+    const hourly = data.hourly;
+    const view = POPUP_CHART_VIEW;
+
+    const datasets = [{
+        label: 'TWL (m)',
+        data: hourly, 
+        borderColor: '#3b82f6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        borderWidth: 2,
+        tension: 0.4,
+        fill: view === 'twl',
+        pointRadius: 0,
+        stack: 'twl'
+    }, {
+        label: 'Threshold (m)',
+        data: Array(hourly.length).fill(getScenarioSite(site).threshold),
+        borderColor: RISK_COLORS["High Risk"],
+        borderWidth: 1.5,
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: false,
+        stack: 'threshold'
+    }];
+
+    if (view === 'twl') {
+        if (!data.quantiles || data.quantiles.length < 2) return datasets;
+
+        // Uncertainty band between the lowest and highest published percentiles, plus the median
+        const lowP = data.quantiles[0];
+        const highP = data.quantiles[data.quantiles.length - 1];
+        const medianP = data.quantiles.reduce((best, p) => Math.abs(p - 50) < Math.abs(best - 50) ? p : best, data.quantiles[0]);
+        datasets[0].fill = false;
+
+        const bandDatasets = [{
+            label: `P${highP} (m)`,
+            data: data.hourlyQuantiles[highP],
+            borderColor: 'rgba(59, 130, 246, 0.3)',
+            backgroundColor: 'rgba(59, 130, 246, 0.15)',
+            borderWidth: 1,
+            tension: 0.4,
+            fill: '+1',
+            pointRadius: 0,
+            stack: 'band-high'
+        }, {
+            label: `P${lowP} (m)`,
+            data: data.hourlyQuantiles[lowP],
+            borderColor: 'rgba(59, 130, 246, 0.3)',
+            borderWidth: 1,
+            tension: 0.4,
+            fill: false,
+            pointRadius: 0,
+            stack: 'band-low'
+        }];
+        if (medianP !== lowP && medianP !== highP) {
+            bandDatasets.push({
+                label: `P${medianP} (m)`,
+                data: data.hourlyQuantiles[medianP],
+                borderColor: '#1e40af',
+                borderWidth: 1,
+                borderDash: [2, 2],
+                tension: 0.4,
+                fill: false,
+                pointRadius: 0,
+                stack: 'band-median'
+            });
+        }
+        return [...bandDatasets, ...datasets];
+    }
+
+    // Component datasets: stacked areas (sum to TWL) or overlaid lines
+    const componentDatasets = FORECAST_COMPONENTS
+        .filter(comp => data.components.includes(comp.key))
+        .map((comp, i) => ({
+            label: `${comp.label} (m)`,
+            data: data.hourlyComponents[comp.key],
+            borderColor: comp.color,
+            backgroundColor: hexToRgba(comp.color, view === 'stacked' ? 0.35 : 0.1),
+            borderWidth: view === 'stacked' ? 1 : 1.5,
+            tension: 0.4,
+            fill: view === 'stacked' ? (i === 0 ? 'origin' : '-1') : false,
+            pointRadius: 0,
+            stack: 'components'
+        }));
+
+    return [...componentDatasets, ...datasets];
+}
+
+/**
+ * (Re)draws the popup chart on #popupChartCanvas.
+ */
+function renderPopupChart(site) {
+    const ctx = document.getElementById('popupChartCanvas');
+    if (!ctx) return;
+
+    if (popupChart) popupChart.destroy();
+
+    const hourly = site.forecastData.hourly;
+    const hasBand = site.forecastData.quantiles && site.forecastData.quantiles.length >= 2;
+    const showLegend = POPUP_CHART_VIEW !== 'twl' || hasBand;
+
+    popupChart = new Chart(ctx.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: Array.from({length: hourly.length}, (_, i) => i % 4 === 0 ? `${i}h` : ''), 
+            datasets: buildPopupChartDatasets(site)
+        },
+
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { 
+                legend: { display: showLegend, labels: { boxWidth: 10, font: { size: 9 } } },
+                tooltip: { mode: 'index', intersect: false }
+            },
+            scales: { 
+                y: { 
+                    stacked: POPUP_CHART_VIEW === 'stacked',
+                    ticks: { font: { size: 10 } },
+                    title: {
+                        display: true,
+                        text: POPUP_CHART_VIEW === 'twl' ? 'Total Water Level (m)' : 'Water Level (m)',
+                        font: { size: 12, weight: 'bold' }
+                    }
+                }, 
+                x: { 
+                    ticks: { font: { size: 10 } },
+                    title: {
+                        display: true,
+                        text: 'Time (Hours)',
+                        font: { size: 12, weight: 'bold' }
+                    }
+                } 
+            },
+            interaction: { mode: 'nearest', axis: 'x', intersect: false }
+        }
+    });
+}
+
+
+// ====================================================================================
+// HOURLY PLAYBACK (ALL SITES)
+// ====================================================================================
+
+// Milliseconds per forecast hour for each playback speed
+const PLAYBACK_SPEEDS = { '0.5': 1000, '1': 500, '2': 250, '4': 125 };
+
+// `active` while the map shows hourly risk (playing or paused), `hour` counted from the run start
+const HOURLY_PLAYBACK = { active: false, playing: false, hour: 0, speed: '1', timer: null };
+
+/**
+ * Number of forecast hours available across all sites of the selected run.
+ */
+function getPlaybackHourCount() {
+    return Math.max(0, ...SITES.map(site => site.forecastData && site.forecastData.hourly ? site.forecastData.hourly.length : 0));
+}
+
+/**
+ * Risk of a site at a forecast hour, following the classification mode ("N/A" when the hour has no data).
+ * In "likely" / "rwc" mode the median / upper percentile is used when the forecast has percentiles.
+ */
+function getSiteHourRisk(site, hour) {
+    const data = site.forecastData;
+    if (!data || !data.hourly || data.hourly[hour] === null || data.hourly[hour] === undefined) return "N/A";
+
+    let twl = data.hourly[hour];
+    const percents = data.quantiles || [];
+    if (percents.length > 0) {
+        const percent = RISK_CLASSIFICATION_MODE === 'rwc'
+            ? percents[percents.length - 1]
+            : percents.reduce((best, p) => Math.abs(p - 50) < Math.abs(best - 50) ? p : best, percents[0]);
+        const value = data.hourlyQuantiles[percent] ? data.hourlyQuantiles[percent][hour] : null;
+        if (value !== null && value !== undefined) twl = value;
+    }
+
+    const scenarioSite = getScenarioSite(site);
+    return classifyRisk(twl, scenarioSite.threshold, scenarioSite.risk_class, getSiteLevels(site));
+}
+
+/**
+ * Recolours markers and coastline segments with the risk of a forecast hour.
+ */
+function renderHourlyMarkers(hour) {
+    const dayIndex = Math.min(Math.floor(hour / 24), NUM_DAYS - 1);
+    mapMarkers.forEach(marker => {
+        const site = marker.options.site;
+        const risk = getSiteHourRisk(site, hour);
+        marker.setIcon(createMarkerIcon(risk, site, getIssuedWarning(site, dayIndex)));
+
+        const segment = siteSegmentLayers[site.id];
+        if (segment) segment.setStyle(getSegmentStyle(risk, site));
+    });
+}
+
+/**
+ * Timestamp of a forecast hour, e.g. "Tue 14 Jan 2025, 06:00 UTC (Day +0, +6 h)".
+ */
+function formatPlaybackTime(hour) {
+    const time = new Date(getRunStartUTC() + hour * MS_PER_HOUR);
+    const date = time.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+    return `${date}, ${time.toISOString().substring(11, 16)} UTC (Day +${Math.floor(hour / 24)}, +${hour} h)`;
+}
+
+function renderPlaybackState() {
+    const hourCount = getPlaybackHourCount();
+    const playButton = document.getElementById('playback-play-btn');
+    const slider = document.getElementById('playback-slider');
+    const timeDisplay = document.getElementById('playback-time');
+    if (!playButton) return;
+
+    playButton.innerHTML = HOURLY_PLAYBACK.playing ? '&#10074;&#10074;' : '&#9654;';
+    playButton.title = HOURLY_PLAYBACK.playing ? 'Pause' : 'Play';
+    playButton.disabled = hourCount === 0;
+    slider.max = Math.max(hourCount - 1, 0);
+    slider.value = HOURLY_PLAYBACK.hour;
+    document.getElementById('playback-stop-btn').disabled = !HOURLY_PLAYBACK.active;
+
+    timeDisplay.style.display = HOURLY_PLAYBACK.active ? 'block' : 'none';
+    timeDisplay.innerText = formatPlaybackTime(HOURLY_PLAYBACK.hour);
+}
+
+/**
+ * Shows a forecast hour on the map (enters the hourly view if needed).
+ */
+function showPlaybackHour(hour) {
+    HOURLY_PLAYBACK.active = true;
+    HOURLY_PLAYBACK.hour = hour;
+    if (myLeafletMap) {
+        myLeafletMap.closePopup();
+        renderHourlyMarkers(hour);
+    }
+    renderPlaybackState();
+}
+
+function schedulePlaybackStep() {
+    clearTimeout(HOURLY_PLAYBACK.timer);
+    HOURLY_PLAYBACK.timer = setTimeout(() => {
+        const hourCount = getPlaybackHourCount();
+        if (HOURLY_PLAYBACK.hour >= hourCount - 1) {
+            pauseHourlyPlayback();
+            return;
+        }
+        showPlaybackHour(HOURLY_PLAYBACK.hour + 1);
+        schedulePlaybackStep();
+    }, PLAYBACK_SPEEDS[HOURLY_PLAYBACK.speed]);
+}
+
+/**
+ * Starts the playback from the current hour, or from the start of the selected day when entering the hourly view.
+ */
+function playHourlyPlayback() {
+    const hourCount = getPlaybackHourCount();
+    if (hourCount === 0) return;
+
+    let startHour = HOURLY_PLAYBACK.active ? HOURLY_PLAYBACK.hour : currentDayIndex * 24;
+    if (startHour >= hourCount - 1) startHour = 0;
+
+    HOURLY_PLAYBACK.playing = true;
+    showPlaybackHour(startHour);
+    schedulePlaybackStep();
+}
+
+function pauseHourlyPlayback() {
+    clearTimeout(HOURLY_PLAYBACK.timer);
+    HOURLY_PLAYBACK.playing = false;
+    renderPlaybackState();
+}
+
+/**
+ * Leaves the hourly view and goes back to the daily risk of the selected day.
+ */
+function stopHourlyPlayback() {
+    clearTimeout(HOURLY_PLAYBACK.timer);
+    HOURLY_PLAYBACK.playing = false;
+    HOURLY_PLAYBACK.active = false;
+    if (myLeafletMap) renderMapMarkers(currentDayIndex);
+    renderPlaybackState();
+}
+
+function setupHourlyPlayback() {
+    const playButton = document.getElementById('playback-play-btn');
+    if (!playButton) return;
+
+    playButton.addEventListener('click', () => {
+        if (HOURLY_PLAYBACK.playing) pauseHourlyPlayback();
+        else playHourlyPlayback();
+    });
+    document.getElementById('playback-stop-btn').addEventListener('click', stopHourlyPlayback);
+
+    document.getElementById('playback-slider').addEventListener('input', (event) => {
+        showPlaybackHour(parseInt(event.target.value, 10));
+    });
+
+    const speedSelect = document.getElementById('playback-speed');
+    speedSelect.value = HOURLY_PLAYBACK.speed;
+    speedSelect.addEventListener('change', (event) => {
+        HOURLY_PLAYBACK.speed = event.target.value;
+        if (HOURLY_PLAYBACK.playing) schedulePlaybackStep();
+    });
+
+    // Moving the day slider goes back to the daily view
+    document.getElementById('forecast-day-slider').addEventListener('input', () => {
+        if (HOURLY_PLAYBACK.active) stopHourlyPlayback();
+    });
+
+    renderPlaybackState();
+}
+
+
+// ====================================================================================
+// REGIONAL RISK MATRIX (ALL SITES x FORECAST DAYS)
+// ====================================================================================
+
+// Row order of the matrix: 'sites' (sites file order) or 'worst' (worst upcoming risk first)
+let RISK_MATRIX_SORT = 'worst';
+
+/**
+ * Risk index as a share of the site's scheme (0 = lowest level, 1 = top level), so sites with schemes
+ * of different lengths can be compared. Validated schemes have at least 2 levels; the guard keeps a
+ * single-level scheme from dividing by zero.
+ */
+function getRiskSeverity(index, site) {
+    return index / Math.max(getSiteLevels(site).length - 1, 1);
+}
+
+/**
+ * Worst risk severity of a site over the forecast days. Sites without data come last (-1).
+ */
+function getSiteWorstSeverity(site) {
+    let worst = -1;
+    for (let dayIndex = 0; dayIndex < NUM_DAYS; dayIndex++) {
+        const index = getRiskIndex(getSiteDayRisk(site, dayIndex), site);
+        if (index >= 0) worst = Math.max(worst, getRiskSeverity(index, site));
+    }
+    return worst;
+}
+
+/**
+ * Sites in matrix order. With 'worst', ties go to the site whose worst day comes first.
+ */
+function getRiskMatrixSites() {
+    if (RISK_MATRIX_SORT !== 'worst') return SITES;
+
+    const firstWorstDay = (site, severity) => {
+        for (let dayIndex = 0; dayIndex < NUM_DAYS; dayIndex++) {
+            if (getRiskSeverity(getRiskIndex(getSiteDayRisk(site, dayIndex), site), site) === severity) return dayIndex;
+        }
+        return NUM_DAYS;
+    };
+    return SITES
+        .map(site => ({ site: site, severity: getSiteWorstSeverity(site) }))
+        .map(entry => ({ ...entry, day: firstWorstDay(entry.site, entry.severity) }))
+        .sort((a, b) => b.severity - a.severity || a.day - b.day || a.site.name.localeCompare(b.site.name))
+        .map(entry => entry.site);
+}
+
+/**
+ * Country roll-up per forecast day: worst risk (with the site that has it) and number of sites at or above
+ * the first alert level, out of the sites with data.
+ */
+function buildCountryRollups(sites = SITES) {
+    const countries = [];
+    sites.forEach(site => {
+        let entry = countries.find(c => c.country === site.country);
+        if (!entry) {
+            entry = { country: site.country, sites: [] };
+            countries.push(entry);
+        }
+        entry.sites.push(site);
+    });
+
+    return countries.map(entry => ({
+        country: entry.country,
+        siteCount: entry.sites.length,
+        days: Array.from({ length: NUM_DAYS }, (_, dayIndex) => {
+            let worst = null;
+            let alerted = 0;
+            let withData = 0;
+            entry.sites.forEach(site => {
+                const risk = getSiteDayRisk(site, dayIndex);
+                const index = getRiskIndex(risk, site);
+                if (index < 0) return;
+                withData++;
+                if (index >= 1) alerted++;
+                const severity = getRiskSeverity(index, site);
+                if (!worst || severity > worst.severity) worst = { site: site, risk: risk, severity: severity };
+            });
+            return { worst: worst, alerted: alerted, withData: withData };
+        })
+    }));
+}
+
+function renderRiskMatrixHeader() {
+    return `<tr><th></th>${Array.from({ length: NUM_DAYS }, (_, dayIndex) => {
+        const selected = dayIndex === currentDayIndex ? ' class="risk-matrix-selected"' : '';
+        return `<th${selected}>Day +${dayIndex}<br><small>${getForecastDate(dayIndex)}</small></th>`;
+    }).join('')}</tr>`;
+}
+
+function renderRiskMatrix() {
+    const sitesTable = document.getElementById('risk-matrix-sites');
+    if (!sitesTable) return;
+
+    const cellStyle = (risk, site) => `background-color: ${getRiskColor(risk, site)}; color: ${getRiskIndex(risk, site) === 1 ? '#212529' : '#fff'};`;
+
+    sitesTable.querySelector('thead').innerHTML = renderRiskMatrixHeader();
+    sitesTable.querySelector('tbody').innerHTML = getRiskMatrixSites().map(site => {
+        const cells = Array.from({ length: NUM_DAYS }, (_, dayIndex) => {
+            const risk = getSiteDayRisk(site, dayIndex);
+            const day = site.forecastData && site.forecastData.daily ? site.forecastData.daily[dayIndex] : null;
+            const peak = day && !day.missing ? `${day.max_water_level.toFixed(2)} m` : 'N/A';
+            const selected = currentSiteData && currentSiteData.id === site.id && dayIndex === currentDayIndex ? ' risk-matrix-selected' : '';
+            return `<td class="risk-matrix-cell${selected}" style="${cellStyle(risk, site)}" data-site="${escapeXml(site.id)}" data-day="${dayIndex}" title="${escapeXml(`${site.name}, ${getForecastDate(dayIndex)}: ${risk}`)}">${peak}</td>`;
+        }).join('');
+        return `<tr><th class="text-nowrap">${escapeXml(site.name)}</th>${cells}</tr>`;
+    }).join('');
+
+    const rollupTable = document.getElementById('risk-matrix-countries');
+    rollupTable.querySelector('thead').innerHTML = renderRiskMatrixHeader();
+    rollupTable.querySelector('tbody').innerHTML = buildCountryRollups().map(rollup => {
+        const cells = rollup.days.map(day => day.worst
+            ? `<td style="${cellStyle(day.worst.risk, day.worst.site)}" title="${escapeXml(`Worst: ${day.worst.site.name} (${day.worst.risk})`)}">${escapeXml(day.worst.risk)}<br><small>${day.alerted}/${day.withData} at alert</small></td>`
+            : `<td style="${cellStyle('N/A', null)}">N/A</td>`).join('');
+        return `<tr><th class="text-nowrap">${escapeXml(rollup.country)} <small>(${rollup.siteCount})</small></th>${cells}</tr>`;
+    }).join('');
+}
+
+function setupRiskMatrix() {
+    const button = document.getElementById('risk-matrix-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        renderRiskMatrix();
+        $('#risk-matrix-modal').modal('show');
+    });
+
+    const sortSelect = document.getElementById('risk-matrix-sort');
+    sortSelect.value = RISK_MATRIX_SORT;
+    sortSelect.addEventListener('change', (event) => {
+        RISK_MATRIX_SORT = event.target.value;
+        renderRiskMatrix();
+    });
+
+    // A cell selects its day, then its site (the marker click opens the popup of the selected day)
+    document.getElementById('risk-matrix-sites').addEventListener('click', (event) => {
+        const cell = event.target.closest('.risk-matrix-cell');
+        if (!cell) return;
+        $('#risk-matrix-modal').modal('hide');
+        window.handleDaySelection(parseInt(cell.dataset.day, 10));
+        selectSiteById(cell.dataset.site);
+    });
+}
+
+
+// ====================================================================================
+// RUN-TO-RUN CONSISTENCY
+// ====================================================================================
+
+const RUN_COMPARISON_COUNT = 4;   // Number of runs (selected + previous) shown in the consistency view
+const TREND_TOLERANCE_M = 0.02;   // Peak changes smaller than this are shown as steady
+
+// Parsed forecasts of other runs, keyed by "<siteId>_<run>" (promise while loading)
+const RUN_FORECAST_CACHE = {};
+let runComparisonChart = null;
+
+/**
+ * Shifts a YYYYMMDD run identifier by a number of days.
+ */
+function shiftRunId(runId, days) {
+    return formatDateKeyUTC(getRunStartUTC(runId) + days * MS_PER_DAY).replace(/-/g, '');
+}
+
+/**
+ * Returns the identifiers of the selected run and the runs before it, newest first.
+ * Uses the run manifest when available, otherwise assumes one run per day.
+ */
+function getRecentRunIds(count) {
+    if (AVAILABLE_RUNS.length > 0) {
+        return AVAILABLE_RUNS
+            .map(run => run.run)
+            .filter(run => run <= SELECTED_RUNTIME_DATE)
+            .slice(0, count);
+    }
+    return Array.from({ length: count }, (_, i) => shiftRunId(SELECTED_RUNTIME_DATE, -i));
+}
+
+/**
+ * Fetches (once) the forecast of a site for another run.
+ */
+function getRunForecast(site, runId) {
+    if (runId === SELECTED_RUNTIME_DATE && site.forecastData) {
+        return Promise.resolve(site.forecastData);
+    }
+
+    const key = `${site.id}_${runId}`;
+    if (!RUN_FORECAST_CACHE[key]) {
+        RUN_FORECAST_CACHE[key] = fetchAndParseForecast(site, runId).then(result => {
+            RUN_FORECAST_CACHE[key] = result.forecastData;
+            return result.forecastData;
+        });
+    }
+    return Promise.resolve(RUN_FORECAST_CACHE[key]);
+}
+
+/**
+ * Returns the already loaded forecast of a site for another run, or undefined.
+ */
+function getCachedRunForecast(siteId, runId) {
+    const cached = RUN_FORECAST_CACHE[`${siteId}_${runId}`];
+    return cached instanceof Promise ? undefined : cached;
+}
+
+/**
+ * Returns the trend of a day's peak against the previous run ('up', 'down', 'steady') or null when unknown.
+ */
+function getPeakTrend(day, previousData) {
+    if (!previousData || !previousData.daily || day.missing) return null;
+
+    const previousDay = previousData.daily.find(d => d.dateKey === day.dateKey);
+    if (!previousDay || previousDay.missing) return null;
+
+    const change = day.max_water_level - previousDay.max_water_level;
+    const direction = change > TREND_TOLERANCE_M ? 'up' : (change < -TREND_TOLERANCE_M ? 'down' : 'steady');
+    return { direction: direction, change: change, previous: previousDay.max_water_level };
+}
+
+/**
+ * Trend arrow for the 7-Day Outlook table.
+ */
+function formatTrendArrow(trend) {
+    if (!trend) return '';
+    const arrows = {
+        up: { symbol: '&#9650;', color: RISK_COLORS["Severe Flood"], text: 'Rising' },
+        down: { symbol: '&#9660;', color: RISK_COLORS["No Flood"], text: 'Falling' },
+        steady: { symbol: '&#9654;', color: '#cbd5e1', text: 'Steady' }
+    };
+    const arrow = arrows[trend.direction];
+    const sign = trend.change >= 0 ? '+' : '';
+    return ` <span style="color: ${arrow.color}" title="${arrow.text} vs previous run (${trend.previous} m, ${sign}${trend.change.toFixed(2)} m)">${arrow.symbol}</span>`;
+}
+
+/**
+ * Loads the previous run of a site in the background and refreshes the sidebar once available.
+ */
+function ensurePreviousRunLoaded(site) {
+    const previousRunId = getRecentRunIds(2)[1];
+    if (!previousRunId || RUN_FORECAST_CACHE[`${site.id}_${previousRunId}`]) return; // loaded or loading
+
+    getRunForecast(site, previousRunId).then(() => {
+        if (currentSiteData && currentSiteData.id === site.id) {
+            const selectedSite = SITES.find(s => s.id === site.id);
+            if (selectedSite) updateSidebar(selectedSite);
+        }
+    });
+}
+
+/**
+ * Opens the consistency view: hourly TWL of the last runs for the selected validity date.
+ */
+async function showRunComparison(site) {
+    const dayIndex = currentDayIndex;
+    const targetStart = getRunStartUTC() + dayIndex * MS_PER_DAY;
+    const runIds = getRecentRunIds(RUN_COMPARISON_COUNT);
+
+    document.getElementById('run-comparison-title').innerText =
+        `${site.name} — Validity Date: ${getForecastDate(dayIndex)}`;
+    document.getElementById('run-comparison-summary').innerHTML =
+        `<tr><td colspan="3" class="text-center text-muted">Loading ${runIds.length} run(s)...</td></tr>`;
+    $('#run-comparison-modal').modal('show');
+
+    const forecasts = await Promise.all(runIds.map(runId => getRunForecast(site, runId)));
+
+    // Hourly TWL of each run over the 24 hours of the target validity date
+    const runs = runIds.map((runId, i) => {
+        const data = forecasts[i];
+        const offset = Math.round((targetStart - getRunStartUTC(runId)) / MS_PER_HOUR);
+        const values = Array.from({ length: 24 }, (_, h) =>
+            data && data.hourly && data.hourly[offset + h] !== undefined ? data.hourly[offset + h] : null
+        );
+        const day = data && data.daily ? data.daily.find(d => d.dateKey === formatDateKeyUTC(targetStart)) : null;
+        return { runId: runId, values: values, day: day };
+    });
+
+    const summaryRows = runs.map(run => {
+        const peak = run.day && !run.day.missing ? `${run.day.max_water_level} m` : '--';
+        const risk = run.day && !run.day.missing ? getDayRisk(run.day) : 'N/A';
+        return `
+            <tr>
+                <td>${run.runId}${run.runId === SELECTED_RUNTIME_DATE ? ' (selected)' : ''}</td>
+                <td>${peak}</td>
+                <td><span class="badge text-white" style="background-color: ${getRiskColor(risk, site)}">${risk}</span></td>
+            </tr>`;
+    });
+    document.getElementById('run-comparison-summary').innerHTML = summaryRows.join('');
+
+    const ctx = document.getElementById('runComparisonCanvas');
+    if (runComparisonChart) runComparisonChart.destroy();
+
+    // Newest run in solid blue, older runs progressively lighter
+    const datasets = runs.map((run, i) => ({
+        label: `Run ${run.runId}`,
+        data: run.values,
+        borderColor: `rgba(59, 130, 246, ${1 - i * (0.7 / Math.max(1, runs.length - 1))})`,
+        borderWidth: i === 0 ? 2.5 : 1.5,
+        borderDash: i === 0 ? [] : [5, 3],
+        tension: 0.4,
+        fill: false,
+        pointRadius: 0
+    }));
+    datasets.push({
+        label: 'Threshold (m)',
+        data: Array(24).fill(getScenarioSite(site).threshold),
+        borderColor: RISK_COLORS["High Risk"],
+        borderWidth: 1.5,
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: false
+    });
+
+    runComparisonChart = new Chart(ctx.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`),
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true, labels: { boxWidth: 12, font: { size: 10 } } },
+                tooltip: { mode: 'index', intersect: false }
+            },
+            scales: {
+                y: { title: { display: true, text: 'Total Water Level (m)' } },
+                x: { title: { display: true, text: 'Validity Time (UTC)' } }
+            }
+        }
+    });
+}
+
+// ====================================================================================
+// WARNING BULLETINS (SMS, RADIO, LOCAL AUTHORITIES)
+// ====================================================================================
+
+const SMS_MAX_LENGTH = 160;
+
+// Wording of the bulletins. Risk labels and advice cover the default scheme; other schemes use their own labels and descriptions.
+const BULLETIN_TEXT = {
+    en: {
+        locale: 'en-GB',
+        risk: { "No Flood": "No Flood", "Warning": "Warning", "High Risk": "High Risk", "Severe Flood": "Severe Flood" },
+        advice: {
+            "No Flood": "No coastal flooding is expected.",
+            "Warning": "Minor flooding of beaches and low-lying coastal roads is possible. Stay informed.",
+            "High Risk": "Significant coastal flooding is expected. Keep away from the shoreline and secure boats and belongings.",
+            "Severe Flood": "Extreme and destructive flooding is expected. Follow the instructions of local authorities and be ready to evacuate."
+        },
+        noData: 'No forecast data is available for this day.',
+        scenario: 'SCENARIO, NOT AN OPERATIONAL FORECAST',
+        sms: (b) => [
+            `SafeCoast ${b.risk.toUpperCase()} ${b.place} ${b.dayShort}: peak ${b.peak}m at ${b.peakTime}`,
+            b.onsetTime ? `, above threshold from ${b.onsetTime} (~${b.hoursAbove}h)` : '',
+            `. Valid ${b.validShort}.`,
+            ` Run ${b.run}`
+        ],
+        radio: (b) => [
+            `This is a coastal flood bulletin from SafeCoast for ${b.place}, issued from the forecast of ${b.runLong}.`,
+            `For ${b.dayLong}, the vigilance level is ${b.risk}.`,
+            `The total water level is expected to peak at ${b.peak} metres around ${b.peakTime} local time.`,
+            b.onsetTime
+                ? `The water is expected to rise above the flood threshold of ${b.threshold} metres from ${b.onsetTime}, for about ${b.hoursAbove} hours.`
+                : `The water level is expected to stay below the flood threshold of ${b.threshold} metres.`,
+            b.advice,
+            `This bulletin is valid from ${b.validFrom} to ${b.validTo}. Stay tuned for updates.`
+        ],
+        authority: {
+            title: 'COASTAL FLOOD BULLETIN',
+            site: 'Site', issued: 'Issued from run', valid: 'Valid', level: 'Vigilance level', peak: 'Peak total water level',
+            at: 'at', threshold: 'Flood threshold', onset: 'Above threshold from', duration: 'Hours at or above each level',
+            probability: 'Probability of reaching each level', outlook: '7-day outlook', advice: 'Advice', none: 'none', localTime: 'local time'
+        }
+    },
+    fr: {
+        locale: 'fr-FR',
+        risk: { "No Flood": "Pas d'inondation", "Warning": "Vigilance", "High Risk": "Risque élevé", "Severe Flood": "Inondation sévère" },
+        advice: {
+            "No Flood": "Aucune inondation côtière n'est attendue.",
+            "Warning": "Inondations mineures possibles sur les plages et les routes côtières basses. Restez informés.",
+            "High Risk": "Inondations côtières importantes attendues. Éloignez-vous du rivage et mettez à l'abri embarcations et biens.",
+            "Severe Flood": "Inondations extrêmes et destructrices attendues. Suivez les consignes des autorités locales et préparez-vous à évacuer."
+        },
+        noData: "Aucune donnée de prévision n'est disponible pour ce jour.",
+        scenario: 'SCÉNARIO, PAS UNE PRÉVISION OPÉRATIONNELLE',
+        sms: (b) => [
+            `SafeCoast ${b.risk.toUpperCase()} ${b.place} ${b.dayShort}: pic ${b.peak}m à ${b.peakTime}`,
+            b.onsetTime ? `, au-dessus du seuil dès ${b.onsetTime} (~${b.hoursAbove}h)` : '',
+            `. Valide ${b.validShort}.`,
+            ` Run ${b.run}`
+        ],
+        radio: (b) => [
+            `Voici un bulletin d'inondation côtière SafeCoast pour ${b.place}, établi à partir de la prévision du ${b.runLong}.`,
+            `Pour ${b.dayLong}, le niveau de vigilance est : ${b.risk}.`,
+            `Le niveau d'eau total devrait atteindre ${b.peak} mètres vers ${b.peakTime}, heure locale.`,
+            b.onsetTime
+                ? `L'eau devrait dépasser le seuil d'inondation de ${b.threshold} mètres à partir de ${b.onsetTime}, pendant environ ${b.hoursAbove} heures.`
+                : `Le niveau d'eau devrait rester sous le seuil d'inondation de ${b.threshold} mètres.`,
+            b.advice,
+            `Ce bulletin est valable du ${b.validFrom} au ${b.validTo}. Restez à l'écoute pour les mises à jour.`
+        ],
+        authority: {
+            title: "BULLETIN D'INONDATION CÔTIÈRE",
+            site: 'Site', issued: 'Établi à partir du run', valid: 'Validité', level: 'Niveau de vigilance', peak: "Pic du niveau d'eau total",
+            at: 'à', threshold: "Seuil d'inondation", onset: 'Au-dessus du seuil dès', duration: 'Heures au-dessus de chaque niveau',
+            probability: 'Probabilité d\'atteindre chaque niveau', outlook: 'Tendance à 7 jours', advice: 'Conseils', none: 'aucune', localTime: 'heure locale'
+        }
+    }
+};
+
+let BULLETIN_FORMAT = 'sms';
+let BULLETIN_LANG = 'en';
+
+/**
+ * Formats metres for a bulletin (decimal comma in French).
+ */
+function formatBulletinNumber(value, lang, digits = 2) {
+    const text = value.toFixed(digits);
+    return lang === 'fr' ? text.replace('.', ',') : text;
+}
+
+/**
+ * Collects the values shared by all bulletin formats for a site and forecast day, in the given language.
+ * Returns null when the day has no data.
+ */
+function getBulletinValues(site, dayIndex, lang) {
+    const data = site.forecastData;
+    const day = data && data.daily ? data.daily[dayIndex] : null;
+    if (!day || day.missing) return null;
+
+    const text = BULLETIN_TEXT[lang];
+    const timeZone = site.timezone || 'UTC';
+    const dayStart = data.hourlyStart + dayIndex * MS_PER_DAY;
+    const format = (ms, options) => new Date(ms).toLocaleString(text.locale, { timeZone: timeZone, ...options });
+    const time = ms => format(ms, { hour: '2-digit', minute: '2-digit' });
+    const dateTime = ms => format(ms, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+    const risk = getDayRisk(day);
+    const levelConfig = getSiteLevels(site).find(config => config.level === risk);
+    const scenarioSite = getScenarioSite(site);
+
+    return {
+        day: day,
+        risk: text.risk[risk] || risk,
+        advice: text.advice[risk] || (levelConfig ? levelConfig.description : ''),
+        place: (site.names && site.names[lang]) || site.city,
+        siteName: getSiteDisplayName(site, lang),
+        dayShort: format(dayStart, { weekday: 'short', day: '2-digit', month: '2-digit' }),
+        dayLong: format(dayStart, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }),
+        peak: formatBulletinNumber(day.max_water_level, lang),
+        peakTime: time(day.peak_time),
+        onsetTime: day.onset_time ? time(day.onset_time) : null,
+        hoursAbove: day.hours_above ? formatBulletinNumber(day.hours_above[0].hours, lang, 0) : '0',
+        threshold: formatBulletinNumber(scenarioSite.threshold, lang),
+        datum: site.datum ? ` (${site.datum})` : '',
+        validFrom: dateTime(dayStart),
+        validTo: dateTime(dayStart + MS_PER_DAY),
+        validShort: [dayStart, dayStart + MS_PER_DAY].map(ms => format(ms, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }).replace(',', '')).join('-'),
+        run: data.runDate,
+        runLong: new Date(getRunStartUTC(data.runDate)).toLocaleDateString(text.locale, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }),
+        timeZone: timeZone,
+        scenario: isScenarioActive() ? `[${text.scenario}: ${getScenarioLabel()}] ` : ''
+    };
+}
+
+/**
+ * SMS of at most SMS_MAX_LENGTH characters. Optional parts (onset, run) are dropped first when the text is too long.
+ */
+function buildSmsBulletin(site, dayIndex, lang) {
+    const b = getBulletinValues(site, dayIndex, lang);
+    if (!b) return BULLETIN_TEXT[lang].noData;
+
+    const [main, onset, validity, run] = BULLETIN_TEXT[lang].sms(b);
+    const candidates = [
+        b.scenario + main + onset + validity + run,
+        b.scenario + main + onset + validity,
+        b.scenario + main + validity
+    ];
+    const sms = candidates.find(candidate => candidate.length <= SMS_MAX_LENGTH) || candidates[candidates.length - 1];
+    return sms.length <= SMS_MAX_LENGTH ? sms : `${sms.slice(0, SMS_MAX_LENGTH - 3)}...`;
+}
+
+function buildRadioBulletin(site, dayIndex, lang) {
+    const b = getBulletinValues(site, dayIndex, lang);
+    if (!b) return BULLETIN_TEXT[lang].noData;
+    return b.scenario + BULLETIN_TEXT[lang].radio(b).join('\n\n');
+}
+
+/**
+ * Formatted bulletin for local authorities: selected day in detail, then the 7-day outlook.
+ */
+function buildAuthorityBulletin(site, dayIndex, lang) {
+    const b = getBulletinValues(site, dayIndex, lang);
+    if (!b) return BULLETIN_TEXT[lang].noData;
+
+    const t = BULLETIN_TEXT[lang].authority;
+    const day = b.day;
+    const lines = [
+        b.scenario + `${t.title} - SafeCoast`,
+        '='.repeat(40),
+        `${t.site}: ${b.siteName}`,
+        `${t.issued}: ${b.run} (${b.runLong})`,
+        `${t.valid}: ${b.validFrom} -> ${b.validTo} (${b.timeZone})`,
+        '',
+        `${t.level}: ${b.risk.toUpperCase()}`,
+        `${t.peak}: ${b.peak} m${b.datum} ${t.at} ${b.peakTime} (${t.localTime})`,
+        `${t.threshold}: ${b.threshold} m${b.datum}`,
+        `${t.onset}: ${b.onsetTime || t.none}`
+    ];
+    if (day.hours_above) {
+        lines.push(`${t.duration}: ${day.hours_above.map(d => `${BULLETIN_TEXT[lang].risk[d.label] || d.label} ${formatBulletinNumber(d.hours, lang, 1)} h`).join(', ')}`);
+    }
+    if (day.exceedance) {
+        lines.push(`${t.probability}: ${day.exceedance.map(e => `${BULLETIN_TEXT[lang].risk[e.label] || e.label} ${formatProbability(e.estimate).replace('&ge;', '>=').replace('&le;', '<=')}`).join(', ')}`);
+    }
+
+    lines.push('', `${t.outlook}:`);
+    site.forecastData.daily.forEach((outlookDay, i) => {
+        const values = getBulletinValues(site, i, lang);
+        lines.push(values
+            ? `  ${values.dayShort}  ${values.risk.padEnd(18)} ${values.peak} m`
+            : `  ${outlookDay.fullDate}  --`);
+    });
+
+    lines.push('', `${t.advice}: ${b.advice}`);
+    return lines.join('\n');
+}
+
+const BULLETIN_FORMATS = {
+    sms: { label: 'SMS', build: buildSmsBulletin },
+    radio: { label: 'Radio script', build: buildRadioBulletin },
+    authority: { label: 'Authority bulletin', build: buildAuthorityBulletin }
+};
+
+/**
+ * Saves text content as a file download.
+ */
+function downloadTextFile(filename, content, mimeType = 'text/plain') {
+    downloadBlob(filename, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+}
+
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Copies text to the clipboard, with a fallback for browsers without the async clipboard API (or over plain HTTP).
+ */
+async function copyTextToClipboard(text, textarea) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        textarea.select();
+        return document.execCommand('copy');
+    }
+}
+
+function renderBulletin() {
+    const site = currentSiteData;
+    const output = document.getElementById('bulletin-text');
+    if (!site || !output) return;
+
+    const text = BULLETIN_FORMATS[BULLETIN_FORMAT].build(site, currentDayIndex, BULLETIN_LANG);
+    output.value = text;
+    document.getElementById('bulletin-char-count').innerText = BULLETIN_FORMAT === 'sms'
+        ? `${text.length} / ${SMS_MAX_LENGTH} characters`
+        : `${text.length} characters`;
+}
+
+function showBulletinModal(site) {
+    document.getElementById('bulletin-title').innerText = `Warning Bulletin: ${site.name} - ${getForecastDate(currentDayIndex)}`;
+    renderBulletin();
+    $('#bulletin-modal').modal('show');
+}
+
+function setupBulletinControls() {
+    const button = document.getElementById('bulletin-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        if (currentSiteData) showBulletinModal(currentSiteData);
+    });
+
+    document.querySelectorAll('#bulletin-format button, #bulletin-lang button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.format) BULLETIN_FORMAT = btn.dataset.format;
+            if (btn.dataset.lang) BULLETIN_LANG = btn.dataset.lang;
+            btn.parentElement.querySelectorAll('button').forEach(b => {
+                b.classList.toggle('btn-primary', b === btn);
+                b.classList.toggle('btn-outline-primary', b !== btn);
+            });
+            renderBulletin();
+        });
+    });
+
+    document.getElementById('bulletin-copy-btn').addEventListener('click', async () => {
+        const textarea = document.getElementById('bulletin-text');
+        const copied = await copyTextToClipboard(textarea.value, textarea);
+        document.getElementById('bulletin-char-count').innerText = copied ? 'Copied to clipboard' : 'Copy failed, select the text manually';
+    });
+
+    document.getElementById('bulletin-download-btn').addEventListener('click', () => {
+        if (!currentSiteData) return;
+        const data = currentSiteData.forecastData;
+        const day = data && data.daily ? data.daily[currentDayIndex] : null;
+        // Sites without data for the day still get a dated file name (e.g. "Thursday-Jan-16-2025")
+        const dateKey = day ? day.dateKey : getForecastDate(currentDayIndex).replace(/[^A-Za-z0-9]+/g, '-');
+        downloadTextFile(`bulletin_${currentSiteData.id}_${dateKey}_${BULLETIN_FORMAT}_${BULLETIN_LANG}.txt`, document.getElementById('bulletin-text').value);
+    });
+}
+
+// ====================================================================================
+// CAP 1.2 EXPORT (COMMON ALERTING PROTOCOL)
+// ====================================================================================
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const CAP_SENDER = 'safecoast@safecoastpro.github.io';
+const CAP_SEVERITIES = ['Minor', 'Moderate', 'Severe', 'Extreme'];
+const CAP_CIRCLE_RADIUS_KM = 5; // Area around the site point when it has no coastline extent
+
+/**
+ * CAP dateTime: UTC with an explicit "+00:00" offset (the "Z" suffix is not allowed by CAP 1.2).
+ */
+function formatCapDateTime(timeMs) {
+    return new Date(timeMs).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+/**
+ * Maps a level of the site's scheme to a CAP severity. The top level is "Extreme" and lower alert levels
+ * take the previous severities, so a 4-level scheme gives Warning = Moderate, High Risk = Severe, Severe Flood = Extreme.
+ */
+function getCapSeverity(risk, site) {
+    const levels = getSiteLevels(site);
+    const fromTop = levels.length - 1 - getRiskIndex(risk, site);
+    return CAP_SEVERITIES[Math.max(0, CAP_SEVERITIES.length - 1 - fromTop)];
+}
+
+/**
+ * CAP urgency from the forecast day: today is "Immediate", tomorrow "Expected", later days "Future".
+ */
+function getCapUrgency(dayIndex) {
+    if (dayIndex === 0) return 'Immediate';
+    if (dayIndex === 1) return 'Expected';
+    return 'Future';
+}
+
+/**
+ * CAP certainty from the exceedance probability of the day's level (probabilistic runs), else "Likely".
+ */
+function getCapCertainty(day, risk) {
+    const exceedance = day.exceedance ? day.exceedance.find(e => e.label === risk) : null;
+    if (!exceedance || !exceedance.estimate) return 'Likely';
+    return exceedance.estimate.probability > 0.5 ? 'Likely' : 'Possible';
+}
+
+/**
+ * CAP <area> content of a site: polygon from its coastline polygon or the extent of its coastline line/bbox,
+ * else a circle around the site point. CAP coordinates are "lat,lon" pairs.
+ */
+function buildCapArea(site) {
+    const areaDesc = `<areaDesc>${escapeXml(`${site.name}, coastline`)}</areaDesc>`;
+    const geometry = site.coastline && site.coastline.geometry;
+
+    if (geometry) {
+        let ring;
+        if (geometry.type === 'Polygon') {
+            ring = geometry.coordinates[0];
+        } else if (geometry.type === 'MultiPolygon') {
+            ring = geometry.coordinates[0][0];
+        } else {
+            // Lines have no area: use their extent, padded so the polygon is not flat
+            const points = geometry.type === 'LineString' ? geometry.coordinates : geometry.coordinates.flat();
+            const pad = 0.01;
+            const minLon = Math.min(...points.map(p => p[0])) - pad;
+            const maxLon = Math.max(...points.map(p => p[0])) + pad;
+            const minLat = Math.min(...points.map(p => p[1])) - pad;
+            const maxLat = Math.max(...points.map(p => p[1])) + pad;
+            ring = [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]];
+        }
+        const polygon = ring.map(([lon, lat]) => `${lat.toFixed(4)},${lon.toFixed(4)}`).join(' ');
+        return `${areaDesc}<polygon>${polygon}</polygon>`;
+    }
+
+    return `${areaDesc}<circle>${site.lat.toFixed(4)},${site.lng.toFixed(4)} ${CAP_CIRCLE_RADIUS_KM}</circle>`;
+}
+
+/**
+ * One CAP <info> block (one language) for a site and day.
+ */
+function buildCapInfo(site, dayIndex, lang, risk, day) {
+    const b = getBulletinValues(site, dayIndex, lang);
+    const dayStart = site.forecastData.hourlyStart + dayIndex * MS_PER_DAY;
+    const parameters = [
+        ['SafeCoast_PeakTWL_m', day.max_water_level],
+        ['SafeCoast_PeakTime', formatCapDateTime(day.peak_time)],
+        ['SafeCoast_Threshold_m', getScenarioSite(site).threshold],
+        ['SafeCoast_HoursAboveThreshold', day.hours_above ? day.hours_above[0].hours : 0],
+        ['SafeCoast_Run', site.forecastData.runDate],
+        ['SafeCoast_VigilanceScheme', site.scheme ? site.scheme.id : DEFAULT_VIGILANCE_SCHEME_ID]
+    ];
+    if (site.datum) parameters.push(['SafeCoast_Datum', site.datum]);
+
+    return `
+    <info>
+      <language>${BULLETIN_TEXT[lang].locale}</language>
+      <category>Met</category>
+      <event>${lang === 'fr' ? 'Inondation côtière' : 'Coastal flood'}</event>
+      <responseType>${getRiskIndex(risk, site) === 1 ? 'Monitor' : 'Prepare'}</responseType>
+      <urgency>${getCapUrgency(dayIndex)}</urgency>
+      <severity>${getCapSeverity(risk, site)}</severity>
+      <certainty>${getCapCertainty(day, risk)}</certainty>
+      <eventCode><valueName>SafeCoast_Level</valueName><value>${escapeXml(risk)}</value></eventCode>
+      <onset>${formatCapDateTime(day.onset_time || dayStart)}</onset>
+      <expires>${formatCapDateTime(dayStart + MS_PER_DAY)}</expires>
+      <senderName>SafeCoast</senderName>
+      <headline>${escapeXml(`${b.risk}: ${b.place}, ${b.dayShort}`)}</headline>
+      <description>${escapeXml(BULLETIN_TEXT[lang].radio(b).slice(1, 4).join(' '))}</description>
+      <instruction>${escapeXml(b.advice)}</instruction>
+      <web>https://safecoastpro.github.io/</web>
+${parameters.map(([name, value]) => `      <parameter><valueName>${name}</valueName><value>${escapeXml(value)}</value></parameter>`).join('\n')}
+      <area>${buildCapArea(site)}</area>
+    </info>`;
+}
+
+/**
+ * CAP 1.2 <alert> of a site and forecast day, or null when the day is below the first alert level or has no data.
+ * An active sea-level scenario is exported with status "Exercise".
+ */
+function buildCapAlert(site, dayIndex, sentMs = Date.now()) {
+    const data = site.forecastData;
+    const day = data && data.daily ? data.daily[dayIndex] : null;
+    if (!day || day.missing) return null;
+
+    const risk = getDayRisk(day);
+    if (getRiskIndex(risk, site) < 1) return null;
+
+    const identifier = `safecoast-${site.id}-${data.runDate}-${day.dateKey}`.replace(/[^A-Za-z0-9_.-]/g, '-');
+    const note = isScenarioActive() ? `<note>${escapeXml(`Sea-level scenario ${getScenarioLabel()}, not an operational forecast.`)}</note>` : '';
+
+    return `<alert xmlns="${CAP_NAMESPACE}">
+    <identifier>${identifier}</identifier>
+    <sender>${CAP_SENDER}</sender>
+    <sent>${formatCapDateTime(sentMs)}</sent>
+    <status>${isScenarioActive() ? 'Exercise' : 'Actual'}</status>
+    <msgType>Alert</msgType>
+    <source>SafeCoast TWL forecast, run ${data.runDate}</source>
+    <scope>Public</scope>${note ? `\n    ${note}` : ''}${['en', 'fr'].map(lang => buildCapInfo(site, dayIndex, lang, risk, day)).join('')}
+  </alert>`;
+}
+
+/**
+ * Standalone CAP document of a site and day, or null when there is nothing to alert.
+ */
+function buildCapDocument(site, dayIndex) {
+    const alert = buildCapAlert(site, dayIndex);
+    return alert ? `<?xml version="1.0" encoding="UTF-8"?>\n${alert}\n` : null;
+}
+
+/**
+ * Atom feed with one entry per CAP alert (every site and day at or above the first alert level).
+ */
+function buildCapFeed(sites) {
+    const sentMs = Date.now();
+    const entries = [];
+    sites.forEach(site => {
+        const days = site.forecastData && site.forecastData.daily ? site.forecastData.daily : [];
+        days.forEach((day, dayIndex) => {
+            const alert = buildCapAlert(site, dayIndex, sentMs);
+            if (!alert) return;
+            entries.push(`  <entry>
+    <id>urn:safecoast:${site.id}:${site.forecastData.runDate}:${day.dateKey}</id>
+    <title>${escapeXml(`${getDayRisk(day)}: ${site.name}, ${day.fullDate}`)}</title>
+    <updated>${new Date(sentMs).toISOString()}</updated>
+    <content type="application/cap+xml">
+  ${alert}
+    </content>
+  </entry>`);
+        });
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:safecoast:cap:${SELECTED_RUNTIME_DATE}</id>
+  <title>SafeCoast coastal flood warnings (run ${SELECTED_RUNTIME_DATE})</title>
+  <updated>${new Date(sentMs).toISOString()}</updated>
+  <author><name>SafeCoast</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Message under the CAP buttons (cleared when another site or day is selected).
+ */
+function showCapMessage(message) {
+    const el = document.getElementById('cap-message');
+    if (el) el.innerText = message;
+}
+
+function setupCapExportButtons() {
+    const siteButton = document.getElementById('cap-site-btn');
+    const feedButton = document.getElementById('cap-feed-btn');
+    if (!siteButton || !feedButton) return;
+
+    siteButton.addEventListener('click', () => {
+        if (!currentSiteData) return;
+        const xml = buildCapDocument(currentSiteData, currentDayIndex);
+        if (!xml) {
+            showCapMessage(`No CAP alert for ${currentSiteData.name} on ${getForecastDate(currentDayIndex)}: the risk is below the first alert level.`);
+            return;
+        }
+        showCapMessage('');
+        const dateKey = currentSiteData.forecastData.daily[currentDayIndex].dateKey;
+        downloadTextFile(`cap_${currentSiteData.id}_${dateKey}.xml`, xml, 'application/cap+xml');
+    });
+
+    feedButton.addEventListener('click', () => {
+        showCapMessage('');
+        downloadTextFile(`cap_feed_${SELECTED_RUNTIME_DATE}.xml`, buildCapFeed(SITES.filter(isSiteLoaded)), 'application/atom+xml');
+    });
+}
+
+// ====================================================================================
+// WATCHLIST AND NOTIFICATIONS
+// ====================================================================================
+
+const WATCHLIST_STORAGE_KEY = 'safecoast.watchlist';
+const WATCH_SETTINGS_STORAGE_KEY = 'safecoast.watchSettings';
+const WATCH_ALERTS_STORAGE_KEY = 'safecoast.watchAlerts';
+const WATCH_NOTIFIED_STORAGE_KEY = 'safecoast.watchNotified';
+const WATCH_ALERTS_MAX = 50;
+const WATCH_NOTIFIED_MAX = 200;
+const NEW_RUN_POLL_INTERVAL_MS = 15 * 60 * 1000; // Manifest check for a newer run while watched sites exist
+
+/**
+ * Choices of the minimum level that triggers a notification, as a position in the site's scheme
+ * (1 = first alert level), up to the top level of the longest scheme in use.
+ */
+function getWatchMinLevelOptions() {
+    const schemesInUse = getSchemesInUse();
+    const levelCount = Math.max(...schemesInUse.map(({ scheme }) => scheme.levels.length));
+    return Array.from({ length: levelCount - 1 }, (_, i) => {
+        const examples = [...new Set(schemesInUse.map(({ scheme }) => scheme.levels[i + 1]).filter(Boolean).map(config => config.level))];
+        return { value: i + 1, label: `Alert level ${i + 1} (e.g. ${examples.join(' / ')})` };
+    });
+}
+
+function renderWatchMinLevelOptions() {
+    const select = document.getElementById('watch-min-level');
+    if (!select) return;
+    select.innerHTML = getWatchMinLevelOptions().map(option => `<option value="${option.value}">${escapeXml(option.label)}</option>`).join('');
+    select.value = Math.min(getWatchMinLevel(), select.options.length);
+}
+
+function readStoredJson(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value === null ? fallback : value;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function writeStoredJson(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key} in local storage:`, error);
+    }
+}
+
+function getWatchlist() {
+    return readStoredJson(WATCHLIST_STORAGE_KEY, []);
+}
+
+function isSiteWatched(siteId) {
+    return getWatchlist().includes(siteId);
+}
+
+function toggleSiteWatched(siteId) {
+    const watchlist = getWatchlist();
+    writeStoredJson(WATCHLIST_STORAGE_KEY, watchlist.includes(siteId)
+        ? watchlist.filter(id => id !== siteId)
+        : [...watchlist, siteId]);
+    renderWatchlist();
+    if (currentSiteData) renderWatchButton(currentSiteData);
+}
+
+function getWatchMinLevel() {
+    return readStoredJson(WATCH_SETTINGS_STORAGE_KEY, {}).minLevel || 1;
+}
+
+/**
+ * Days of a site whose risk rose against the previous run and reached the minimum watch level.
+ * Returns [{ dateKey, fullDate, from, to, peak }].
+ */
+function findRiskRises(site, previousData) {
+    if (!site.forecastData || !previousData || !previousData.daily) return [];
+
+    const levelCount = getSiteLevels(site).length;
+    const minLevel = Math.min(getWatchMinLevel(), levelCount - 1);
+    const rises = [];
+
+    site.forecastData.daily.forEach(day => {
+        const previousDay = previousData.daily.find(d => d.dateKey === day.dateKey);
+        if (day.missing || !previousDay || previousDay.missing) return;
+
+        const risk = getDayRisk(day);
+        const previousRisk = getDayRisk(previousDay);
+        const level = getRiskIndex(risk, site);
+        if (level > getRiskIndex(previousRisk, site) && level >= minLevel) {
+            rises.push({ dateKey: day.dateKey, fullDate: day.fullDate, from: previousRisk, to: risk, peak: day.max_water_level });
+        }
+    });
+    return rises;
+}
+
+/**
+ * Newest published run: the first complete run of the manifest, or today's run without a manifest.
+ */
+function getLatestRunId() {
+    return AVAILABLE_RUNS.length > 0 ? (AVAILABLE_RUNS.find(run => run.complete) || AVAILABLE_RUNS[0]).run : todayYYYYMMDD;
+}
+
+/**
+ * Compares the watched sites of the loaded run with the previous run and raises an alert for each site whose risk rose.
+ * Each rise (site, run, day, level) is only notified once, also across page reloads.
+ * Only the newest run is checked, and never under a sea-level scenario (its levels are hypothetical).
+ */
+async function checkWatchlistRises() {
+    const watchlist = getWatchlist();
+    const previousRunId = getRecentRunIds(2)[1];
+    if (watchlist.length === 0 || !previousRunId) return;
+    if (isScenarioActive() || SELECTED_RUNTIME_DATE !== getLatestRunId()) return;
+
+    const runId = SELECTED_RUNTIME_DATE;
+    const notified = readStoredJson(WATCH_NOTIFIED_STORAGE_KEY, []);
+
+    for (const site of SITES.filter(s => watchlist.includes(s.id) && isSiteLoaded(s))) {
+        const previousData = await getRunForecast(site, previousRunId);
+        if (runId !== SELECTED_RUNTIME_DATE) return; // Another run was selected meanwhile
+
+        const rises = findRiskRises(site, previousData)
+            .filter(rise => !notified.includes(`${site.id}_${runId}_${rise.dateKey}_${rise.to}`));
+        if (rises.length === 0) continue;
+
+        // Saved before notifying so that a failing notification cannot repeat the alert on the next load
+        rises.forEach(rise => notified.push(`${site.id}_${runId}_${rise.dateKey}_${rise.to}`));
+        writeStoredJson(WATCH_NOTIFIED_STORAGE_KEY, notified.slice(-WATCH_NOTIFIED_MAX));
+        addWatchAlert({ time: Date.now(), siteId: site.id, siteName: site.name, run: runId, previousRun: previousRunId, rises: rises });
+    }
+    writeStoredJson(WATCH_NOTIFIED_STORAGE_KEY, notified.slice(-WATCH_NOTIFIED_MAX));
+}
+
+function addWatchAlert(alertEntry) {
+    const alerts = [alertEntry, ...readStoredJson(WATCH_ALERTS_STORAGE_KEY, [])].slice(0, WATCH_ALERTS_MAX);
+    writeStoredJson(WATCH_ALERTS_STORAGE_KEY, alerts);
+    renderWatchAlerts();
+
+    const summary = alertEntry.rises.map(rise => `${rise.fullDate.split(',')[0]}: ${rise.from} → ${rise.to} (${rise.peak} m)`).join('\n');
+    sendBrowserNotification(`Risk rising at ${alertEntry.siteName}`, `Run ${alertEntry.run} vs ${alertEntry.previousRun}\n${summary}`, alertEntry.siteId);
+}
+
+/**
+ * Shows a system notification through the service worker (the Notification constructor is not available
+ * on Android); a click selects the site (see the 'notificationclick' handler of sw.js).
+ */
+async function sendBrowserNotification(title, body, siteId) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const options = { body: body, tag: `safecoast-${siteId}`, icon: 'assets/safecoastlogo.svg', data: { siteId: siteId } };
+    try {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.showNotification(title, options);
+            return;
+        }
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            selectSiteById(siteId);
+            notification.close();
+        };
+    } catch (error) {
+        console.warn('Could not show the browser notification:', error);
+    }
+}
+
+/**
+ * Selects a site as if its marker had been clicked.
+ */
+function selectSiteById(siteId) {
+    const marker = mapMarkers.find(m => m.options.site.id === siteId);
+    if (marker) marker.fire('click');
+}
+
+function renderWatchButton(site) {
+    const button = document.getElementById('watch-site-btn');
+    if (!button) return;
+    const watched = isSiteWatched(site.id);
+    button.innerHTML = watched ? '&#9733;' : '&#9734;';
+    button.title = watched ? 'Remove from watchlist' : 'Add to watchlist';
+    button.classList.toggle('text-warning', watched);
+}
+
+function renderWatchlist() {
+    const container = document.getElementById('watchlist-sites');
+    if (!container) return;
+
+    const watchlist = getWatchlist();
+    container.innerHTML = watchlist.length === 0
+        ? '<small class="text-slate-300">No watched site. Use &#9734; next to a site name to watch it.</small>'
+        : watchlist.map(id => `<button type="button" class="badge badge-light mr-1 border-0" data-site-id="${escapeXml(id)}" title="Show site">&#9733; ${escapeXml(getShortSiteId(id))}</button>`).join('');
+    container.querySelectorAll('button[data-site-id]').forEach(btn => {
+        btn.addEventListener('click', () => selectSiteById(btn.dataset.siteId));
+    });
+}
+
+function renderWatchAlerts() {
+    const container = document.getElementById('watch-alerts');
+    if (!container) return;
+
+    const alerts = readStoredJson(WATCH_ALERTS_STORAGE_KEY, []);
+    if (alerts.length === 0) {
+        container.innerHTML = '<small class="text-slate-300">No alert yet.</small>';
+        return;
+    }
+    container.innerHTML = alerts.map(entry => `
+        <div class="watch-alert-item">
+            <small><strong>${escapeXml(entry.siteName)}</strong> &middot; run ${escapeXml(entry.run)} &middot; ${new Date(entry.time).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</small>
+            ${entry.rises.map(rise => `<br><small>${escapeXml(rise.fullDate.split(',')[0])}: ${escapeXml(rise.from)} &rarr; <strong>${escapeXml(rise.to)}</strong> (${escapeXml(rise.peak)} m)</small>`).join('')}
+        </div>
+    `).join('');
+}
+
+function renderNotificationButton() {
+    const button = document.getElementById('watch-notify-btn');
+    if (!button) return;
+
+    if (!('Notification' in window)) {
+        button.disabled = true;
+        button.innerText = 'Browser notifications not supported';
+    } else if (Notification.permission === 'granted') {
+        button.disabled = true;
+        button.innerText = 'Browser notifications enabled';
+    } else if (Notification.permission === 'denied') {
+        button.disabled = true;
+        button.innerText = 'Browser notifications blocked';
+    }
+}
+
+/**
+ * Checks the manifest for a newer run while sites are watched, and loads it when the latest run is displayed.
+ */
+async function pollForNewRun() {
+    if (getWatchlist().length === 0 || AVAILABLE_RUNS.length === 0 || !navigator.onLine) return;
+
+    const latestDisplayed = getLatestRunId() === SELECTED_RUNTIME_DATE;
+    const runs = await fetchRunManifest();
+    const newest = runs.find(run => run.complete) || runs[0];
+    if (!latestDisplayed || !newest || newest.run <= SELECTED_RUNTIME_DATE) return;
+
+    console.log(`New run ${newest.run} published, loading it for the watchlist.`);
+    AVAILABLE_RUNS = runs;
+    changeRuntimeDate(newest.run);
+    setupDateSelector();
+}
+
+function setupWatchlist() {
+    const watchButton = document.getElementById('watch-site-btn');
+    if (watchButton) {
+        watchButton.addEventListener('click', () => {
+            if (currentSiteData) toggleSiteWatched(currentSiteData.id);
+        });
+    }
+
+    const minLevelSelect = document.getElementById('watch-min-level');
+    if (minLevelSelect) {
+        renderWatchMinLevelOptions();
+        minLevelSelect.addEventListener('change', (event) => {
+            writeStoredJson(WATCH_SETTINGS_STORAGE_KEY, { minLevel: parseInt(event.target.value) });
+        });
+    }
+
+    const notifyButton = document.getElementById('watch-notify-btn');
+    if (notifyButton) {
+        notifyButton.addEventListener('click', async () => {
+            await Notification.requestPermission();
+            renderNotificationButton();
+        });
+    }
+
+    const clearButton = document.getElementById('watch-alerts-clear-btn');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            writeStoredJson(WATCH_ALERTS_STORAGE_KEY, []);
+            renderWatchAlerts();
+        });
+    }
+
+    renderWatchlist();
+    renderWatchAlerts();
+    renderNotificationButton();
+    setInterval(pollForNewRun, NEW_RUN_POLL_INTERVAL_MS);
+}
+
+// ====================================================================================
+// ALERT DISPATCH (PLUGGABLE TRANSPORTS)
+// ====================================================================================
+
+const DISPATCH_CONFIG_STORAGE_KEY = 'safecoast.dispatchConfig';
+const DISPATCH_LOG_STORAGE_KEY = 'safecoast.dispatchLog';
+const DISPATCH_LOG_MAX = 200;
+const ALERT_PAYLOAD_SCHEMA = 'safecoast.alert/1';
+
+const DEFAULT_DISPATCH_CONFIG = {
+    enabled: { webhook: false, sms_gateway: false, file: true },
+    webhook: { url: '', token: '' },
+    sms_gateway: { url: '', apiKey: '', sender: 'SafeCoast', recipients: '', lang: 'en' }
+};
+
+/**
+ * Structured alert payload of a site and forecast day, shared by all transports. Returns null without data.
+ */
+function buildAlertPayload(site, dayIndex) {
+    const data = site.forecastData;
+    const day = data && data.daily ? data.daily[dayIndex] : null;
+    if (!day || day.missing) return null;
 
-function createMarkerIcon(risk) {
-    const color = RISK_COLORS[risk];
-    const isSevere = risk === "Severe Flood";
-    
-    const markerHtml = `
-        <div class="${isSevere ? 'pulse-severe' : ''}" style="
-            background-color: ${color};
-            width: 25px;
-            height: 25px;
-            border-radius: 50%;
-            border: 1px solid white;
-            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.4);
-        "></div>
-    `;
+    const risk = getDayRisk(day);
+    const dayStart = data.hourlyStart + dayIndex * MS_PER_DAY;
+    return {
+        schema: ALERT_PAYLOAD_SCHEMA,
+        id: `safecoast-${site.id}-${data.runDate}-${day.dateKey}`,
+        generated_at: new Date().toISOString(),
+        run: data.runDate,
+        site: { id: site.id, name: site.name, lat: site.lat, lon: site.lng, timezone: site.timezone, datum: site.datum },
+        valid_from: new Date(dayStart).toISOString(),
+        valid_to: new Date(dayStart + MS_PER_DAY).toISOString(),
+        level: risk,
+        level_index: getRiskIndex(risk, site),
+        is_alert: getRiskIndex(risk, site) >= 1,
+        cap_severity: getRiskIndex(risk, site) >= 1 ? getCapSeverity(risk, site) : null,
+        peak_twl_m: day.max_water_level,
+        peak_time: new Date(day.peak_time).toISOString(),
+        onset_time: day.onset_time ? new Date(day.onset_time).toISOString() : null,
+        hours_above_threshold: day.hours_above ? day.hours_above[0].hours : 0,
+        threshold_m: getScenarioSite(site).threshold,
+        scenario: isScenarioActive() ? getScenarioLabel() : null,
+        messages: {
+            sms_en: buildSmsBulletin(site, dayIndex, 'en'),
+            sms_fr: buildSmsBulletin(site, dayIndex, 'fr')
+        }
+    };
+}
 
-    return L.divIcon({
-        className: 'custom-marker',
-        html: markerHtml,
-        iconSize: [18, 18],
-        iconAnchor: [9, 9]
+/**
+ * Sends a prepared HTTP request with the usual fetch timeout. Resolves to { ok, status, message }.
+ */
+async function sendDispatchHttpRequest(request) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+        const response = await fetch(request.url, { method: request.method, headers: request.headers, body: request.body, signal: controller.signal });
+        const message = (await response.text()).slice(0, 200);
+        return { ok: response.ok, status: response.status, message: message || response.statusText };
+    } catch (error) {
+        return { ok: false, status: 0, message: error.name === 'AbortError' ? 'Timed out' : error.message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Transports by name. buildRequest() must not send anything (it is also used for the dry-run preview);
+// it throws when the configuration is incomplete. send() delivers a built request and resolves to { ok, status, message }.
+const DISPATCH_TRANSPORTS = {
+    webhook: {
+        label: 'HTTP webhook',
+        buildRequest: (payload, config) => {
+            if (!config.url) throw new Error('Webhook URL is not set');
+            const headers = { 'Content-Type': 'application/json' };
+            if (config.token) headers['X-SafeCoast-Token'] = config.token;
+            return { method: 'POST', url: config.url, headers: headers, body: JSON.stringify(payload, null, 2) };
+        },
+        send: sendDispatchHttpRequest
+    },
+    sms_gateway: {
+        label: 'SMS gateway (JSON)',
+        buildRequest: (payload, config) => {
+            if (!config.url) throw new Error('SMS gateway URL is not set');
+            const recipients = config.recipients.split(/[,;\s]+/).filter(Boolean);
+            if (recipients.length === 0) throw new Error('No SMS recipient set');
+            const headers = { 'Content-Type': 'application/json' };
+            if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+            const body = {
+                from: config.sender || 'SafeCoast',
+                to: recipients,
+                text: payload.messages[config.lang === 'fr' ? 'sms_fr' : 'sms_en'],
+                reference: payload.id
+            };
+            return { method: 'POST', url: config.url, headers: headers, body: JSON.stringify(body, null, 2) };
+        },
+        send: sendDispatchHttpRequest
+    },
+    file: {
+        label: 'File download (air-gapped stations)',
+        buildRequest: (payload) => ({ method: 'DOWNLOAD', url: `${payload.id}.json`, headers: {}, body: JSON.stringify(payload, null, 2) }),
+        send: async (request) => {
+            downloadTextFile(request.url, request.body, 'application/json');
+            return { ok: true, status: 200, message: 'File saved' };
+        }
+    }
+};
+
+/**
+ * Adds a transport (e.g. a siren controller) to the dispatch module. See DISPATCH_TRANSPORTS for the interface.
+ */
+function registerDispatchTransport(name, transport) {
+    DISPATCH_TRANSPORTS[name] = transport;
+    if (!(name in DEFAULT_DISPATCH_CONFIG.enabled)) DEFAULT_DISPATCH_CONFIG.enabled[name] = false;
+}
+
+function getDispatchConfig() {
+    const stored = readStoredJson(DISPATCH_CONFIG_STORAGE_KEY, {});
+    const config = { enabled: { ...DEFAULT_DISPATCH_CONFIG.enabled, ...(stored.enabled || {}) } };
+    Object.keys(DISPATCH_TRANSPORTS).forEach(name => {
+        config[name] = { ...(DEFAULT_DISPATCH_CONFIG[name] || {}), ...(stored[name] || {}) };
     });
+    return config;
 }
 
-function populateMapMarkers() {
-    // Clear existing markers
-    mapMarkers.forEach(marker => myLeafletMap.removeLayer(marker));
-    mapMarkers = [];
+function getDispatchLog() {
+    return readStoredJson(DISPATCH_LOG_STORAGE_KEY, []);
+}
 
-    SITES.forEach(site => {
-        // Markers will be updated by handleDaySelection() after this
-        const initialRisk = "N/A";
-        const initialIcon = createMarkerIcon(initialRisk);
+function appendDispatchLog(entries) {
+    writeStoredJson(DISPATCH_LOG_STORAGE_KEY, [...entries, ...getDispatchLog()].slice(0, DISPATCH_LOG_MAX));
+}
 
-        const marker = L.marker([site.lat, site.lng], { site: site, icon: initialIcon }).addTo(myLeafletMap);
-        mapMarkers.push(marker);
-        marker.bindTooltip(`<b>${site.name}</b>`, {direction: 'top', offset: [0, -10]});
-        
-        marker.on('click', () => {
-            updateSidebar(site);
-            myLeafletMap.flyTo([site.lat, site.lng], 9, { duration: 1.0 });
-            showChartPopup(site, marker);
+/**
+ * Builds (dry run) or sends the alert of a site and day through every enabled transport, and records each attempt.
+ * Under a sea-level scenario a real send needs scenarioConfirmed (the operator accepted sending hypothetical levels).
+ * Returns [{ transport, request, result }].
+ */
+async function dispatchAlert(site, dayIndex, config, dryRun, scenarioConfirmed = false) {
+    const payload = buildAlertPayload(site, dayIndex);
+    if (!payload) throw new Error(`No forecast data for ${site.name} on ${getForecastDate(dayIndex)}`);
+    if (!dryRun && payload.scenario && !scenarioConfirmed) {
+        throw new Error(`Not sent: the scenario ${payload.scenario} is active. Clear it or confirm the send.`);
+    }
+
+    const outcomes = [];
+    for (const [name, transport] of Object.entries(DISPATCH_TRANSPORTS)) {
+        if (!config.enabled[name]) continue;
+
+        let request = null;
+        let result;
+        try {
+            request = transport.buildRequest(payload, config[name] || {});
+            result = dryRun ? { ok: true, status: null, message: 'Dry run, not sent' } : await transport.send(request);
+        } catch (error) {
+            result = { ok: false, status: null, message: error.message };
+        }
+        outcomes.push({ transport: name, request: request, result: result });
+    }
+
+    appendDispatchLog(outcomes.map(outcome => ({
+        time: new Date().toISOString(),
+        dryRun: dryRun,
+        transport: outcome.transport,
+        target: outcome.request ? outcome.request.url : null,
+        alertId: payload.id,
+        siteId: site.id,
+        level: payload.level,
+        scenario: payload.scenario,
+        ok: outcome.result.ok,
+        status: outcome.result.status,
+        message: outcome.result.message
+    })));
+    return outcomes;
+}
+
+/**
+ * Reads the dispatch form of the modal into a configuration (and stores it, API keys included, in local storage).
+ */
+function readDispatchForm() {
+    const config = getDispatchConfig();
+    document.querySelectorAll('#dispatch-modal [data-transport]').forEach(input => {
+        config.enabled[input.dataset.transport] = input.checked;
+    });
+    document.querySelectorAll('#dispatch-modal [data-config]').forEach(input => {
+        const [transport, field] = input.dataset.config.split('.');
+        config[transport][field] = input.value.trim();
+    });
+    writeStoredJson(DISPATCH_CONFIG_STORAGE_KEY, config);
+    return config;
+}
+
+function fillDispatchForm(config) {
+    document.querySelectorAll('#dispatch-modal [data-transport]').forEach(input => {
+        input.checked = Boolean(config.enabled[input.dataset.transport]);
+    });
+    document.querySelectorAll('#dispatch-modal [data-config]').forEach(input => {
+        const [transport, field] = input.dataset.config.split('.');
+        input.value = config[transport][field] || '';
+    });
+}
+
+/** Header values that carry gateway credentials and must not be shown in the preview. */
+const DISPATCH_SECRET_HEADERS = ['authorization', 'x-safecoast-token'];
+
+/** Masks a credential, keeping only its last 4 characters (and a "Bearer " prefix). */
+function maskDispatchSecret(value) {
+    const match = String(value).match(/^(Bearer\s+)?(.*)$/i);
+    const secret = match[2];
+    if (!secret) return value;
+    return `${match[1] || ''}${'*'.repeat(Math.max(secret.length - 4, 4))}${secret.length > 8 ? secret.slice(-4) : ''}`;
+}
+
+function formatDispatchHeaders(headers) {
+    return Object.entries(headers)
+        .map(([k, v]) => `${k}: ${DISPATCH_SECRET_HEADERS.includes(k.toLowerCase()) ? maskDispatchSecret(v) : v}`)
+        .join('\n');
+}
+
+function renderDispatchOutcomes(outcomes, dryRun) {
+    const output = document.getElementById('dispatch-output');
+    if (outcomes.length === 0) {
+        output.innerHTML = '<div class="text-warning">No transport selected.</div>';
+        return;
+    }
+    output.innerHTML = outcomes.map(({ transport, request, result }) => `
+        <div class="mb-2">
+            <strong>${DISPATCH_TRANSPORTS[transport].label}</strong>
+            <span class="badge ${result.ok ? 'badge-success' : 'badge-danger'}">${result.ok ? (dryRun ? 'Preview' : 'Sent') : 'Failed'}${result.status ? ` ${result.status}` : ''}</span>
+            <small class="text-muted">${escapeXml(result.message || '')}</small>
+            ${request ? `<pre class="dispatch-preview">${escapeXml(`${request.method} ${request.url}\n${formatDispatchHeaders(request.headers)}\n\n${request.body}`)}</pre>` : ''}
+        </div>
+    `).join('');
+}
+
+function renderDispatchLog() {
+    const body = document.getElementById('dispatch-log-body');
+    if (!body) return;
+    const log = getDispatchLog();
+    body.innerHTML = log.length === 0
+        ? '<tr><td colspan="5" class="text-muted">Nothing sent yet.</td></tr>'
+        : log.slice(0, 20).map(entry => `
+            <tr>
+                <td>${escapeXml(entry.time.substring(0, 16).replace('T', ' '))}</td>
+                <td>${escapeXml(entry.transport)}${entry.dryRun ? ' (dry run)' : ''}</td>
+                <td>${escapeXml(entry.alertId)}</td>
+                <td>${escapeXml(entry.level)}${entry.scenario ? ` <small class="text-warning">(scenario ${escapeXml(entry.scenario)})</small>` : ''}</td>
+                <td class="${entry.ok ? 'text-success' : 'text-danger'}">${entry.ok ? 'OK' : 'Failed'}${entry.status ? ` ${entry.status}` : ''}</td>
+            </tr>`).join('');
+}
+
+function showDispatchModal(site) {
+    document.getElementById('dispatch-title').innerText = `Dispatch Alert: ${site.name} - ${getForecastDate(currentDayIndex)}`;
+    document.getElementById('dispatch-output').innerHTML = '';
+    fillDispatchForm(getDispatchConfig());
+    renderDispatchLog();
+    $('#dispatch-modal').modal('show');
+}
+
+function setupDispatchControls() {
+    const button = document.getElementById('dispatch-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        if (currentSiteData) showDispatchModal(currentSiteData);
+    });
+
+    const run = async (dryRun) => {
+        if (!currentSiteData) return;
+        const config = readDispatchForm();
+        const payload = buildAlertPayload(currentSiteData, currentDayIndex);
+        if (!dryRun && payload && !payload.is_alert &&
+            !confirm(`${currentSiteData.name} is at "${payload.level}" on this day (below the first alert level). Send anyway?`)) {
+            return;
+        }
+        // Scenario levels are hypothetical: a real send has to be confirmed explicitly
+        const scenarioConfirmed = !dryRun && payload && payload.scenario
+            ? confirm(`The sea-level scenario ${payload.scenario} is active: "${payload.level}" is not the operational forecast. Send this scenario alert to the real recipients?`)
+            : false;
+        if (!dryRun && payload && payload.scenario && !scenarioConfirmed) return;
+        try {
+            renderDispatchOutcomes(await dispatchAlert(currentSiteData, currentDayIndex, config, dryRun, scenarioConfirmed), dryRun);
+        } catch (error) {
+            document.getElementById('dispatch-output').innerHTML = `<div class="text-danger">${escapeXml(error.message)}</div>`;
+        }
+        renderDispatchLog();
+    };
+    document.getElementById('dispatch-preview-btn').addEventListener('click', () => run(true));
+    document.getElementById('dispatch-send-btn').addEventListener('click', () => run(false));
+
+    document.getElementById('dispatch-log-download-btn').addEventListener('click', () => {
+        downloadTextFile(`dispatch_log_${formatDateToYYYYMMDD(new Date())}.json`, JSON.stringify(getDispatchLog(), null, 2), 'application/json');
+    });
+}
+
+// ====================================================================================
+// WARNING WORKFLOW (DRAFT -> APPROVED -> ISSUED, CANCELLED)
+// ====================================================================================
+
+const WARNINGS_STORAGE_KEY = 'safecoast.warnings';
+const WARNING_AUDIT_STORAGE_KEY = 'safecoast.warningAudit';
+const OPERATOR_STORAGE_KEY = 'safecoast.operator';
+
+const WARNING_STATUS_LABELS = {
+    draft: { label: "Draft", color: "#6c757d" },
+    approved: { label: "Approved", color: "#17a2b8" },
+    issued: { label: "Issued", color: "#343a40" },
+    cancelled: { label: "Cancelled", color: "#adb5bd" }
+};
+
+// Actions of the workflow: statuses they start from and the status they lead to
+// inScenario: whether the action is allowed while a sea-level scenario is active (the levels are hypothetical)
+const WARNING_ACTIONS = {
+    save_draft: { label: "Save draft", from: [null, 'draft', 'approved', 'cancelled'], to: 'draft', inScenario: false },
+    approve: { label: "Approve", from: ['draft'], to: 'approved', inScenario: false },
+    issue: { label: "Issue", from: ['approved'], to: 'issued', inScenario: false },
+    cancel: { label: "Cancel", from: ['draft', 'approved', 'issued'], to: 'cancelled', inScenario: true }
+};
+
+/**
+ * Warnings by "<siteId>_<dateKey>" (one warning per site and validity day, kept across runs).
+ */
+function getWarnings() {
+    return readStoredJson(WARNINGS_STORAGE_KEY, {});
+}
+
+function getWarning(siteId, dateKey) {
+    return getWarnings()[`${siteId}_${dateKey}`] || null;
+}
+
+function getWarningAudit() {
+    return readStoredJson(WARNING_AUDIT_STORAGE_KEY, []);
+}
+
+/**
+ * The issued warning of a site on a forecast day, or null.
+ */
+function getIssuedWarning(site, dayIndex) {
+    const day = site.forecastData && site.forecastData.daily ? site.forecastData.daily[dayIndex] : null;
+    if (!day) return null;
+    const warning = getWarning(site.id, day.dateKey);
+    return warning && warning.status === 'issued' ? warning : null;
+}
+
+/**
+ * Applies a workflow action to the warning of a site and day and records it in the audit log.
+ * A level different from the model level, and the cancellation of an issued warning, need a justification.
+ * Only cancellation is allowed while a sea-level scenario is active.
+ * Throws an Error when the action is not allowed.
+ */
+function applyWarningAction(site, dayIndex, action, { level, justification, operator }) {
+    const definition = WARNING_ACTIONS[action];
+    const day = site.forecastData && site.forecastData.daily ? site.forecastData.daily[dayIndex] : null;
+    if (!definition) throw new Error(`Unknown action "${action}"`);
+    if (!day || day.missing) throw new Error('No forecast data for this day');
+    if (!operator) throw new Error('Enter the operator name');
+    if (isScenarioActive() && !definition.inScenario) {
+        throw new Error(`Cannot ${definition.label.toLowerCase()} a warning while the scenario ${getScenarioLabel()} is active`);
+    }
+
+    const key = `${site.id}_${day.dateKey}`;
+    const warnings = getWarnings();
+    const current = warnings[key] || null;
+    const fromStatus = current ? current.status : null;
+    if (!definition.from.includes(fromStatus)) {
+        throw new Error(`Cannot ${definition.label.toLowerCase()} a warning that is ${fromStatus ? WARNING_STATUS_LABELS[fromStatus].label.toLowerCase() : 'not drafted'}`);
+    }
+
+    // Under a scenario (cancellation only) the day risk is hypothetical: keep the model level of the warning
+    const modelLevel = isScenarioActive() ? current.modelLevel : getDayRisk(day);
+    const scenario = isScenarioActive() ? getScenarioLabel() : null;
+    const newLevel = action === 'save_draft' ? level : current.level;
+    if (getRiskIndex(newLevel, site) < 0) throw new Error(`"${newLevel}" is not a level of the site's vigilance scheme`);
+
+    const text = (justification || '').trim();
+    if (action === 'save_draft' && newLevel !== modelLevel && !text) {
+        throw new Error(`A justification is required to set ${newLevel} instead of the model level ${modelLevel}`);
+    }
+    if (action === 'cancel' && fromStatus === 'issued' && !text) {
+        throw new Error('A justification is required to cancel an issued warning');
+    }
+
+    const now = new Date().toISOString();
+    warnings[key] = {
+        id: key,
+        siteId: site.id,
+        dateKey: day.dateKey,
+        run: SELECTED_RUNTIME_DATE,
+        modelLevel: modelLevel,
+        level: newLevel,
+        status: definition.to,
+        justification: action === 'save_draft' ? text : (current.justification || ''),
+        updatedAt: now,
+        updatedBy: operator,
+        issuedAt: definition.to === 'issued' ? now : (current ? current.issuedAt || null : null),
+        scenario: scenario
+    };
+    writeStoredJson(WARNINGS_STORAGE_KEY, warnings);
+
+    writeStoredJson(WARNING_AUDIT_STORAGE_KEY, [...getWarningAudit(), {
+        time: now,
+        operator: operator,
+        action: action,
+        warningId: key,
+        siteId: site.id,
+        dateKey: day.dateKey,
+        run: SELECTED_RUNTIME_DATE,
+        fromStatus: fromStatus,
+        toStatus: definition.to,
+        modelLevel: modelLevel,
+        level: newLevel,
+        justification: text,
+        scenario: scenario
+    }]);
+    return warnings[key];
+}
+
+/**
+ * CSV cell: quoted, with inner quotes doubled (null and undefined give an empty cell).
+ */
+function quoteCsvValue(value) {
+    return `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Audit log as CSV (one row per action).
+ */
+function buildWarningAuditCsv() {
+    const columns = ['time', 'operator', 'action', 'warningId', 'siteId', 'dateKey', 'run', 'fromStatus', 'toStatus', 'modelLevel', 'level', 'justification', 'scenario'];
+    return [columns.join(','), ...getWarningAudit().map(entry => columns.map(col => quoteCsvValue(entry[col])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Issued level of the selected site and day in the Site Summary card.
+ */
+function renderIssuedWarningStat(site) {
+    const el = document.getElementById('stat-issued');
+    if (!el) return;
+    const day = site.forecastData && site.forecastData.daily ? site.forecastData.daily[currentDayIndex] : null;
+    const warning = day ? getWarning(site.id, day.dateKey) : null;
+    if (!warning || warning.status === 'cancelled') {
+        el.innerHTML = '<span class="text-slate-300">None</span>';
+        return;
+    }
+    const status = WARNING_STATUS_LABELS[warning.status];
+    el.innerHTML = `<span class="badge text-white" style="background-color: ${getRiskColor(warning.level, site)}">${escapeXml(warning.level)}</span>` +
+        ` <small class="text-slate-300">${status.label}</small>`;
+}
+
+function renderWarningModal(site) {
+    const day = site.forecastData && site.forecastData.daily ? site.forecastData.daily[currentDayIndex] : null;
+    const warning = day ? getWarning(site.id, day.dateKey) : null;
+    const modelLevel = day && !day.missing ? getDayRisk(day) : 'N/A';
+
+    document.getElementById('warning-title').innerText = `Warning: ${site.name} - ${getForecastDate(currentDayIndex)}`;
+    document.getElementById('warning-model-level').innerHTML =
+        `<span class="badge text-white" style="background-color: ${getRiskColor(modelLevel, site)}">${escapeXml(modelLevel)}</span>${day && !day.missing ? ` (peak ${day.max_water_level} m, run ${SELECTED_RUNTIME_DATE})` : ''}` +
+        (isScenarioActive() ? `<br><small class="text-warning">Scenario ${escapeXml(getScenarioLabel())} active: clear it to draft, approve or issue.</small>` : '');
+    document.getElementById('warning-status').innerHTML = warning
+        ? `<span class="badge text-white" style="background-color: ${WARNING_STATUS_LABELS[warning.status].color}">${WARNING_STATUS_LABELS[warning.status].label}</span> ${escapeXml(warning.level)} &middot; ${escapeXml(warning.updatedBy)}, ${escapeXml(warning.updatedAt.substring(0, 16).replace('T', ' '))} UTC`
+        : 'No warning yet';
+
+    const levelSelect = document.getElementById('warning-level');
+    levelSelect.innerHTML = getSiteLevels(site).map(config => `<option value="${escapeXml(config.level)}">${escapeXml(config.level)}</option>`).join('');
+    levelSelect.value = warning ? warning.level : modelLevel;
+    document.getElementById('warning-justification').value = warning ? warning.justification : '';
+    document.getElementById('warning-operator').value = localStorage.getItem(OPERATOR_STORAGE_KEY) || '';
+
+    const status = warning ? warning.status : null;
+    document.querySelectorAll('#warning-actions button[data-action]').forEach(btn => {
+        const definition = WARNING_ACTIONS[btn.dataset.action];
+        btn.disabled = !definition.from.includes(status) || (isScenarioActive() && !definition.inScenario);
+    });
+
+    const history = getWarningAudit().filter(entry => day && entry.warningId === `${site.id}_${day.dateKey}`).reverse();
+    document.getElementById('warning-history').innerHTML = history.length === 0
+        ? '<tr><td colspan="4" class="text-muted">No action yet.</td></tr>'
+        : history.map(entry => `
+            <tr>
+                <td>${escapeXml(entry.time.substring(0, 16).replace('T', ' '))}</td>
+                <td>${escapeXml(entry.operator)}</td>
+                <td>${WARNING_ACTIONS[entry.action].label} &rarr; ${escapeXml(entry.level)} (model ${escapeXml(entry.modelLevel)})${entry.scenario ? ` [scenario ${escapeXml(entry.scenario)}]` : ''}</td>
+                <td>${escapeXml(entry.justification || '')}</td>
+            </tr>`).join('');
+}
+
+function setupWarningWorkflow() {
+    const button = document.getElementById('warning-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        if (!currentSiteData) return;
+        document.getElementById('warning-error').innerText = '';
+        renderWarningModal(currentSiteData);
+        $('#warning-modal').modal('show');
+    });
+
+    document.querySelectorAll('#warning-actions button[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const operator = document.getElementById('warning-operator').value.trim();
+            if (operator) localStorage.setItem(OPERATOR_STORAGE_KEY, operator);
+            try {
+                applyWarningAction(currentSiteData, currentDayIndex, btn.dataset.action, {
+                    level: document.getElementById('warning-level').value,
+                    justification: document.getElementById('warning-justification').value,
+                    operator: operator
+                });
+                document.getElementById('warning-error').innerText = '';
+            } catch (error) {
+                document.getElementById('warning-error').innerText = error.message;
+            }
+            renderWarningModal(currentSiteData);
+            window.handleDaySelection(SELECTED_FORECAST_INDEX);
         });
     });
+
+    document.getElementById('warning-audit-export-btn').addEventListener('click', () => {
+        downloadTextFile(`warning_audit_${formatDateToYYYYMMDD(new Date())}.csv`, buildWarningAuditCsv(), 'text/csv');
+    });
 }
 
-function populateUIControls() {
-    // Populate Historical Site Selects
-    const siteSelects = document.querySelectorAll('#site_hist');
-    siteSelects.forEach(select => {
-        select.innerHTML = SITES.map(site => 
-            `<option value="${site.id}">${site.name}</option>`
-        ).join('');
+// ====================================================================================
+// SITUATION REPORT (PDF / PNG)
+// ====================================================================================
+
+// One-page report drawn on a canvas: A4 landscape at 150 dpi
+const REPORT_WIDTH = 1754;
+const REPORT_HEIGHT = 1240;
+const REPORT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'; // Served with CORS, so the canvas stays exportable
+const REPORT_TILE_TIMEOUT_MS = 8000;
+const REPORT_FONT = 'Helvetica, Arial, sans-serif';
+
+/**
+ * Loads a cross-origin image for the canvas; resolves to null on error or timeout.
+ */
+function loadReportImage(url) {
+    return new Promise(resolve => {
+        const img = new Image();
+        const timer = setTimeout(() => resolve(null), REPORT_TILE_TIMEOUT_MS);
+        img.crossOrigin = 'anonymous';
+        img.onload = () => { clearTimeout(timer); resolve(img); };
+        img.onerror = () => { clearTimeout(timer); resolve(null); };
+        img.src = url;
     });
 }
 
-function renderMapMarkers(dayIndex) {
-    mapMarkers.forEach(marker => {
-        const site = marker.options.site;
-        const data = site.forecastData;
+/**
+ * Lists the coordinate lines ([[lon, lat], ...]) of a GeoJSON feature (lines and polygon rings).
+ */
+function getFeatureLines(feature) {
+    const geometry = feature && feature.geometry;
+    if (!geometry) return [];
+    switch (geometry.type) {
+        case 'LineString': return [geometry.coordinates];
+        case 'MultiLineString':
+        case 'Polygon': return geometry.coordinates;
+        case 'MultiPolygon': return geometry.coordinates.flat();
+        default: return [];
+    }
+}
 
-        let risk = "N/A";
-        if (data && data.daily.length > dayIndex && data.daily[dayIndex]) {
-            risk = data.daily[dayIndex].risk;
+/**
+ * Draws the sites, coloured by the risk of a day, over an OpenStreetMap basemap fitted to all sites.
+ * The basemap is left out (plain background) when its tiles cannot be loaded.
+ */
+async function drawReportMap(ctx, x, y, width, height, dayIndex) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.clip();
+    ctx.fillStyle = '#dbe7ef';
+    ctx.fillRect(x, y, width, height);
+
+    const bounds = L.latLngBounds(SITES.map(site => [site.lat, site.lng])).pad(0.3);
+    const project = (latlng, zoom) => L.CRS.EPSG3857.latLngToPoint(L.latLng(latlng), zoom);
+    let zoom = 12;
+    while (zoom > 2) {
+        const size = project(bounds.getSouthEast(), zoom).subtract(project(bounds.getNorthWest(), zoom));
+        if (size.x <= width && size.y <= height) break;
+        zoom--;
+    }
+    const origin = project(bounds.getCenter(), zoom).subtract(L.point(width / 2, height / 2));
+    const toCanvas = latlng => project(latlng, zoom).subtract(origin).add(L.point(x, y));
+
+    // Basemap tiles
+    const tiles = [];
+    for (let tx = Math.floor(origin.x / 256); tx <= Math.floor((origin.x + width) / 256); tx++) {
+        for (let ty = Math.floor(origin.y / 256); ty <= Math.floor((origin.y + height) / 256); ty++) {
+            const url = REPORT_TILE_URL.replace('{z}', zoom).replace('{x}', tx).replace('{y}', ty);
+            tiles.push(loadReportImage(url).then(img => ({ img: img, tx: tx, ty: ty })));
         }
+    }
+    const loadedTiles = await Promise.all(tiles);
+    const basemapLoaded = loadedTiles.every(tile => tile.img);
+    if (basemapLoaded) {
+        loadedTiles.forEach(tile => ctx.drawImage(tile.img, x + tile.tx * 256 - origin.x, y + tile.ty * 256 - origin.y));
+    } else {
+        console.warn('Situation report: basemap tiles could not be loaded, drawing the sites only.');
+    }
 
-        const icon = createMarkerIcon(risk);
-        marker.setIcon(icon);
+    // Coastline segments and markers
+    SITES.forEach(site => {
+        const risk = getSiteDayRisk(site, dayIndex);
+        ctx.strokeStyle = getRiskColor(risk, site);
+        ctx.lineWidth = 7;
+        ctx.lineCap = 'round';
+        getFeatureLines(site.coastline).forEach(line => {
+            ctx.beginPath();
+            line.forEach(([lon, lat], i) => {
+                const point = toCanvas([lat, lon]);
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+            ctx.stroke();
+        });
+    });
+
+    ctx.font = `bold 17px ${REPORT_FONT}`;
+    ctx.textBaseline = 'middle';
+    SITES.forEach(site => {
+        const point = toCanvas([site.lat, site.lng]);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 12, 0, 2 * Math.PI);
+        ctx.fillStyle = getRiskColor(getSiteDayRisk(site, dayIndex), site);
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = 'rgba(255,255,255,0.9)';
+        ctx.strokeText(site.city, point.x + 17, point.y);
+        ctx.fillStyle = '#212529';
+        ctx.fillText(site.city, point.x + 17, point.y);
     });
+
+    ctx.font = `13px ${REPORT_FONT}`;
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#333';
+    ctx.fillText(basemapLoaded ? '© OpenStreetMap contributors' : 'Basemap unavailable', x + width - 8, y + height - 12);
+    ctx.restore();
+
+    ctx.strokeStyle = '#adb5bd';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, width, height);
 }
 
-function renderRiskLegend() {
-    const legendContent = document.getElementById('legend_content');
-    legendContent.innerHTML = VIGILANCE_LEVELS.map(config => `
-        <div class="legend-item">
-            <div class="legend-color-box" style="background-color: ${config.color};"></div>
-            <div>
-                <strong>${config.level}</strong><br>
-                <small>${config.description}</small>
-            </div>
-        </div>
-    `).join('');
+/**
+ * Draws the risk legend of the schemes in use; returns the height used.
+ */
+function drawReportLegend(ctx, x, y, width) {
+    const schemesInUse = getSchemesInUse();
+    const lineHeight = 24;
+    const height = 16 + schemesInUse.reduce((sum, { scheme }) => sum + (schemesInUse.length > 1 ? lineHeight : 0) + scheme.levels.length * lineHeight, 0);
+
+    ctx.fillStyle = 'rgba(255,255,255,0.95)';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = '#adb5bd';
+    ctx.strokeRect(x, y, width, height);
+
+    let rowY = y + 8 + lineHeight / 2;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    schemesInUse.forEach(({ scheme, sites }) => {
+        if (schemesInUse.length > 1) {
+            ctx.font = `bold 14px ${REPORT_FONT}`;
+            ctx.fillStyle = '#212529';
+            ctx.fillText(`${scheme.name} (${sites.join(', ')})`, x + 10, rowY);
+            rowY += lineHeight;
+        }
+        ctx.font = `14px ${REPORT_FONT}`;
+        scheme.levels.forEach(config => {
+            ctx.beginPath();
+            ctx.arc(x + 18, rowY, 7, 0, 2 * Math.PI);
+            ctx.fillStyle = config.color;
+            ctx.fill();
+            ctx.fillStyle = '#212529';
+            ctx.fillText(config.level, x + 32, rowY);
+            rowY += lineHeight;
+        });
+    });
+    return height;
 }
 
+/**
+ * Draws a table. Cells are strings or { text, fill, color }; returns the y below the table.
+ */
+function drawReportTable(ctx, x, y, columns, rows, rowHeight = 30) {
+    const width = columns.reduce((sum, column) => sum + column.width, 0);
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+
+    ctx.fillStyle = '#3e4a55';
+    ctx.fillRect(x, y, width, rowHeight);
+    ctx.font = `bold 15px ${REPORT_FONT}`;
+    ctx.fillStyle = '#fff';
+    let cellX = x;
+    columns.forEach(column => {
+        ctx.fillText(column.label, cellX + 8, y + rowHeight / 2);
+        cellX += column.width;
+    });
 
-function updateSidebar(site) {
-    currentSiteData = site;
-    const data = site.forecastData;
-    
-    document.getElementById('stat-site-name').innerText = site.name;
-    document.getElementById('location-subtitle').innerText = `Site Threshold: ${site.threshold}m`;
+    ctx.font = `15px ${REPORT_FONT}`;
+    rows.forEach((row, r) => {
+        const rowY = y + (r + 1) * rowHeight;
+        ctx.fillStyle = r % 2 === 0 ? '#fff' : '#f1f3f5';
+        ctx.fillRect(x, rowY, width, rowHeight);
+        cellX = x;
+        row.forEach((cell, c) => {
+            const value = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+            if (value.fill) {
+                ctx.fillStyle = value.fill;
+                ctx.fillRect(cellX + 2, rowY + 3, columns[c].width - 4, rowHeight - 6);
+            }
+            ctx.fillStyle = value.color || '#212529';
+            ctx.fillText(String(value.text), cellX + 8, rowY + rowHeight / 2, columns[c].width - 12);
+            cellX += columns[c].width;
+        });
+    });
 
-    if (!data || data.daily.length === 0) {
-        document.getElementById('stat-twl').innerText = "-- m";
-        const riskEl = document.getElementById('stat-risk');
-        riskEl.innerText = "No Data";
-        riskEl.style.color = RISK_COLORS["N/A"];
-        document.getElementById('forecast-table-body').innerHTML = `<tr><td colspan="3" class="text-center py-4 text-slate-400 italic">Data not available for ${site.name}</td></tr>`;
+    const bottom = y + (rows.length + 1) * rowHeight;
+    ctx.strokeStyle = '#adb5bd';
+    ctx.strokeRect(x, y, width, bottom - y);
+    return bottom;
+}
+
+/**
+ * Draws the hourly TWL of a site over the forecast with its threshold and risk_class boundaries;
+ * the selected day is shaded.
+ */
+function drawReportHourlyChart(ctx, x, y, width, height, site, dayIndex) {
+    const data = site.forecastData;
+    ctx.strokeStyle = '#adb5bd';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, width, height);
+    ctx.font = `14px ${REPORT_FONT}`;
+    ctx.textBaseline = 'middle';
+
+    // All-null hourly series (every hour missing) are treated as no data
+    const values = data && data.hourly ? data.hourly.filter(v => v !== null) : [];
+    if (values.length === 0) {
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#6c757d';
+        ctx.fillText('No hourly data for this site', x + width / 2, y + height / 2);
         return;
     }
 
-    const selectedDayStatus = data.daily[currentDayIndex];
-    if (!selectedDayStatus) return;
+    const scenarioSite = getScenarioSite(site);
+    const levels = getSiteLevels(site);
+    const boundaries = [scenarioSite.threshold, ...scenarioSite.risk_class];
+    const minY = Math.floor((Math.min(...values) - 0.1) * 10) / 10;
+    const maxY = Math.ceil((Math.max(...values, ...boundaries) + 0.1) * 10) / 10;
+    const hours = NUM_DAYS * 24;
+    const plot = { left: x + 60, top: y + 12, width: width - 75, height: height - 50 };
+    const toX = hour => plot.left + (hour / hours) * plot.width;
+    const toY = value => plot.top + (1 - (value - minY) / (maxY - minY)) * plot.height;
+
+    // Selected day, day grid and axes
+    ctx.fillStyle = 'rgba(23,162,184,0.12)';
+    ctx.fillRect(toX(dayIndex * 24), plot.top, toX(24) - toX(0), plot.height);
+    ctx.fillStyle = '#495057';
+    ctx.textAlign = 'center';
+    for (let d = 0; d <= NUM_DAYS; d++) {
+        ctx.strokeStyle = '#dee2e6';
+        ctx.beginPath();
+        ctx.moveTo(toX(d * 24), plot.top);
+        ctx.lineTo(toX(d * 24), plot.top + plot.height);
+        ctx.stroke();
+        if (d < NUM_DAYS) ctx.fillText(getForecastDate(d).split(',').slice(0, 2).join(','), toX(d * 24 + 12), plot.top + plot.height + 18);
+    }
+    ctx.textAlign = 'right';
+    const step = maxY - minY > 2 ? 0.5 : 0.2;
+    for (let value = Math.ceil(minY / step) * step; value <= maxY; value += step) {
+        ctx.fillText(`${value.toFixed(1)} m`, plot.left - 6, toY(value));
+    }
 
-    document.getElementById('stat-twl').innerText = `${selectedDayStatus.max_water_level} m`;
-    
-    const riskEl = document.getElementById('stat-risk');
-    riskEl.innerText = selectedDayStatus.risk;
-    riskEl.style.color = RISK_COLORS[selectedDayStatus.risk];
+    // Threshold and risk_class boundaries in the colour of the level they open
+    ctx.setLineDash([8, 6]);
+    ctx.lineWidth = 2;
+    boundaries.forEach((level, b) => {
+        ctx.strokeStyle = levels[b + 1].color;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, toY(level));
+        ctx.lineTo(plot.left + plot.width, toY(level));
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // TWL (gaps are not joined)
+    ctx.strokeStyle = '#1f4e79';
+    ctx.lineWidth = 2.5;
+    ctx.beginPath();
+    let drawing = false;
+    data.hourly.forEach((value, hour) => {
+        if (value === null) {
+            drawing = false;
+            return;
+        }
+        if (drawing) ctx.lineTo(toX(hour), toY(value));
+        else ctx.moveTo(toX(hour), toY(value));
+        drawing = true;
+    });
+    ctx.stroke();
+}
 
-    const tableBody = document.getElementById('forecast-table-body');
-    tableBody.innerHTML = '';
-    
-    data.daily.forEach((day, index) => {
-        const colorCode = RISK_COLORS[day.risk];
-        const badge = `<span class="px-2 py-0.5 rounded text-[10px] font-bold text-white uppercase tracking-wider" style="background-color: ${colorCode}">${day.risk.replace(' ', '&nbsp;')}</span>`;
-        const isSelected = index === currentDayIndex ? 'bg-info border-info' : 'hover:bg-slate-50'; // Using info for selection
-        
-        let dateCellText = day.fullDate.split(',')[0].trim(); // Weekday name
+/**
+ * Builds the situation report of the selected run, day and site on a canvas.
+ */
+async function buildSituationReportCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width = REPORT_WIDTH;
+    canvas.height = REPORT_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    const dayIndex = currentDayIndex;
+    const site = currentSiteData;
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, REPORT_WIDTH, REPORT_HEIGHT);
+
+    // Header
+    ctx.fillStyle = '#2b3e50';
+    ctx.fillRect(0, 0, REPORT_WIDTH, 100);
+    ctx.fillStyle = '#fff';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.font = `bold 32px ${REPORT_FONT}`;
+    ctx.fillText('SafeCoast - Coastal Flood Situation Report', 30, 36);
+    ctx.font = `18px ${REPORT_FONT}`;
+    const modeLabel = RISK_CLASSIFICATION_MODE === 'rwc' ? 'reasonable worst case' : 'most likely';
+    ctx.fillText(`Risk: ${modeLabel}${isScenarioActive() ? ` · SCENARIO ${getScenarioLabel()}` : ''} · Generated ${new Date().toISOString().substring(0, 16).replace('T', ' ')} UTC`, 30, 74);
+    ctx.textAlign = 'right';
+    ctx.fillText(`Operational date: ${document.getElementById('current-date-display').innerText}`, REPORT_WIDTH - 30, 36);
+    ctx.font = `bold 20px ${REPORT_FONT}`;
+    ctx.fillText(`Validity date: ${getForecastDate(dayIndex)} (Day +${dayIndex})`, REPORT_WIDTH - 30, 74);
+
+    // Map with legend
+    await drawReportMap(ctx, 30, 120, 1000, 640, dayIndex);
+    drawReportLegend(ctx, 40, 130, 260);
+
+    // All-sites summary
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#212529';
+    ctx.font = `bold 20px ${REPORT_FONT}`;
+    ctx.fillText(`All sites - ${getForecastDate(dayIndex)}`, 1060, 135);
+    const summaryRows = SITES.map(s => {
+        const day = s.forecastData && s.forecastData.daily ? s.forecastData.daily[dayIndex] : null;
+        const risk = getSiteDayRisk(s, dayIndex);
+        const issued = getIssuedWarning(s, dayIndex);
+        return [
+            s.name,
+            day && !day.missing ? `${day.max_water_level.toFixed(2)} m` : 'N/A',
+            { text: risk, fill: getRiskColor(risk, s), color: getRiskIndex(risk, s) === 1 ? '#212529' : '#fff' },
+            issued ? { text: issued.level, fill: getRiskColor(issued.level, s), color: getRiskIndex(issued.level, s) === 1 ? '#212529' : '#fff' } : '-',
+            day && day.peak_time ? `${formatSiteTime(day.peak_time, s)} local` : '-'
+        ];
+    });
+    drawReportTable(ctx, 1060, 155, [
+        { label: 'Site', width: 230 },
+        { label: 'Peak TWL', width: 95 },
+        { label: 'Risk', width: 130 },
+        { label: 'Issued', width: 110 },
+        { label: 'Peak time', width: 99 }
+    ], summaryRows, 32);
+
+    // Selected site: 7-day table and hourly chart
+    if (site) {
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#212529';
+        ctx.font = `bold 20px ${REPORT_FONT}`;
+        ctx.fillText(`${site.name} - threshold ${getScenarioSite(site).threshold} m${site.datum ? ` (${site.datum})` : ''}`, 30, 795);
+        const dailyRows = (site.forecastData ? site.forecastData.daily : []).map((day, index) => {
+            const risk = getSiteDayRisk(site, index);
+            return [
+                `${index === dayIndex ? '> ' : ''}${day.fullDate || getForecastDate(index)}`,
+                day.missing ? 'N/A' : `${day.max_water_level.toFixed(2)} m`,
+                { text: risk, fill: getRiskColor(risk, site), color: getRiskIndex(risk, site) === 1 ? '#212529' : '#fff' }
+            ];
+        });
+        drawReportTable(ctx, 30, 815, [
+            { label: 'Date', width: 260 },
+            { label: 'Max TWL', width: 110 },
+            { label: 'Risk', width: 150 }
+        ], dailyRows, 44);
+        drawReportHourlyChart(ctx, 580, 815, 1144, 352, site, dayIndex);
+    }
 
-        const row = `
-            <tr class="border-b border-slate-50 last:border-0 transition ${isSelected}">
-                <td class="px-2 py-2 font-medium text-slate-700">${dateCellText}</td>
-                <td class="px-2 py-2 text-slate-600">${day.max_water_level} m</td>
-                <td class="px-2 py-2">${badge}</td>
-            </tr>
-        `;
-        tableBody.innerHTML += row;
+    // Footer
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#6c757d';
+    ctx.font = `13px ${REPORT_FONT}`;
+    ctx.fillText(`Run ${SELECTED_RUNTIME_DATE} · Data source: ${ACTIVE_DATA_SOURCE.label} · TWL = total water level (tide + surge + wave runup)`, 30, REPORT_HEIGHT - 25);
+
+    return canvas;
+}
+
+/**
+ * Downloads the situation report as 'pdf' (A4 landscape, jsPDF) or 'png'.
+ */
+async function exportSituationReport(format) {
+    const canvas = await buildSituationReportCanvas();
+    const filename = `situation_report_${SELECTED_RUNTIME_DATE}_day${currentDayIndex}`;
+
+    if (format === 'png') {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        downloadBlob(`${filename}.png`, blob);
+        return;
+    }
+
+    if (!window.jspdf) throw new Error('The PDF library is not loaded. Try the PNG export.');
+    const pdf = new window.jspdf.jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, 297, 210);
+    pdf.save(`${filename}.pdf`);
+}
+
+function setupSituationReportButtons() {
+    document.querySelectorAll('[data-report-format]').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (SITES.length === 0) return;
+            const label = button.innerText;
+            button.disabled = true;
+            button.innerText = 'Building...';
+            try {
+                await exportSituationReport(button.dataset.reportFormat);
+            } catch (error) {
+                console.error('Situation report export failed:', error);
+                alert(`Situation report export failed: ${error.message}`);
+            } finally {
+                button.disabled = false;
+                button.innerText = label;
+            }
+        });
     });
 }
 
 
-function showChartPopup(site, marker) {
-    const data = site.forecastData;
-    
-    if (!data || data.hourly.length === 0) {
-        L.popup()
-            .setLatLng(marker.getLatLng())
-            .setContent(`<div class="p-2 text-center text-red-600 font-semibold">Hourly chart data not available for this site.</div>`)
-            .openOn(myLeafletMap);
-        return;
-    }
-    
-    myLeafletMap.closePopup();
+// ====================================================================================
+// DATA DOWNLOAD (CSV / JSON / GEOJSON)
+// ====================================================================================
 
-    //const startHour = currentDayIndex * 24;
-    //const endHour = startHour + 24;
-    
-    //const daysHourlyData = data.hourly.slice(startHour, endHour);
-    const daysHourlyData = data.hourly;   // Use full timeline
-    //const displayDate = getForecastDate(currentDayIndex);
-    const displayDate = `${getForecastDate(0)} → ${getForecastDate(data.hourly.length/24 - 1)}`;
+const DATA_EXPORT_SCHEMA = 'safecoast.forecast/1';
 
-    const chartHtml = `
-        <div class="chart-popup-container">
-            <h5 class="text-sm font-semibold text-slate-700 text-center mb-1">
-                ${site.name}<br>
-                <span class="text-xs text-slate-500 font-normal">${displayDate}</span>
-            </h5>
-            <canvas id="popupChartCanvas"></canvas>
-        </div>
-    `;
-    
-    const popup = L.popup({ 
-        closeButton: true, 
-        minWidth: 280, 
-        maxWidth: 550,
-        autoClose: true,
-        className: 'water-level-popup'
-    })
-    .setLatLng(marker.getLatLng())
-    .setContent(chartHtml)
-    .openOn(myLeafletMap);
-    
-    popup.on('remove', () => {
-        const canvas = document.getElementById('popupChartCanvas');
-        if (canvas) canvas.remove();
+/**
+ * Run, classification, scenario, units and site thresholds shared by all data exports.
+ * Thresholds include the sea-level scenario when it targets thresholds.
+ */
+function buildExportMetadata(sites) {
+    const runInfo = getSelectedRunInfo();
+    return {
+        schema: DATA_EXPORT_SCHEMA,
+        generated_at: new Date().toISOString(),
+        run: SELECTED_RUNTIME_DATE,
+        run_issued: runInfo && runInfo.issued ? runInfo.issued : null,
+        run_start: new Date(getRunStartUTC()).toISOString(),
+        data_source: ACTIVE_DATA_SOURCE.label,
+        risk_mode: RISK_CLASSIFICATION_MODE === 'rwc' ? 'reasonable worst case' : 'most likely',
+        escalation_hours: EXCEEDANCE_ESCALATION_HOURS,
+        scenario: isScenarioActive() ? getScenarioLabel() : null,
+        units: { twl: 'm', thresholds: 'm', time: 'UTC (ISO 8601)' },
+        sites: sites.map(site => {
+            const scenarioSite = getScenarioSite(site);
+            return {
+                id: site.id,
+                name: site.name,
+                country: site.country,
+                lat: site.lat,
+                lon: site.lng,
+                timezone: site.timezone,
+                datum: site.datum,
+                threshold_m: scenarioSite.threshold,
+                risk_class_m: scenarioSite.risk_class,
+                scheme: { id: site.scheme ? site.scheme.id : DEFAULT_VIGILANCE_SCHEME_ID, levels: getSiteLevels(site).map(config => config.level) }
+            };
+        })
+    };
+}
+
+/**
+ * Hourly rows of a site: time, TWL, components and percentiles (m, null where missing) and hourly risk.
+ */
+function buildHourlyExportRows(site) {
+    const data = site.forecastData;
+    if (!data || !data.hourly) return [];
+    return data.hourly.map((twl, hour) => ({
+        time: new Date(data.hourlyStart + hour * MS_PER_HOUR).toISOString(),
+        twl_m: twl,
+        components: Object.fromEntries((data.components || []).map(key => [key, data.hourlyComponents[key][hour]])),
+        quantiles: Object.fromEntries((data.quantiles || []).map(p => [`p${p}`, data.hourlyQuantiles[p][hour]])),
+        risk: getSiteHourRisk(site, hour)
+    }));
+}
+
+/**
+ * Hourly CSV of one or more sites. Metadata lines start with "#" (e.g. pandas comment='#').
+ * Text cells (site ID, level name from the config files) are quoted, numbers are not.
+ */
+function buildHourlyCsv(sites) {
+    const metadata = buildExportMetadata(sites);
+    const componentKeys = FORECAST_COMPONENTS.map(c => c.key).filter(key => sites.some(site => site.forecastData && (site.forecastData.components || []).includes(key)));
+    const percents = [...new Set(sites.flatMap(site => site.forecastData ? site.forecastData.quantiles || [] : []))].sort((a, b) => a - b);
+    const formatValue = value => value === null || value === undefined ? '' : value;
+
+    const lines = [
+        `# SafeCoast hourly total water level forecast (${metadata.schema})`,
+        `# run=${metadata.run} run_start=${metadata.run_start}${metadata.run_issued ? ` issued=${metadata.run_issued}` : ''} generated=${metadata.generated_at}`,
+        `# risk_mode=${metadata.risk_mode}${metadata.scenario ? ` scenario=${metadata.scenario}` : ''} units: TWL and thresholds in m, time in UTC`,
+        ...metadata.sites.map(site => `# site=${site.id} threshold_m=${site.threshold_m} risk_class_m=${site.risk_class_m.join(';')}${site.datum ? ` datum=${site.datum}` : ''} levels=${site.scheme.levels.join(';')}`),
+        ['site_id', 'time_utc', 'twl_m', ...componentKeys.map(key => `${key}_m`), ...percents.map(p => `twl_p${p}_m`), 'risk'].join(',')
+    ];
+    sites.forEach(site => {
+        buildHourlyExportRows(site).forEach(row => {
+            lines.push([
+                quoteCsvValue(site.id),
+                row.time,
+                formatValue(row.twl_m),
+                ...componentKeys.map(key => formatValue(row.components[key])),
+                ...percents.map(p => formatValue(row.quantiles[`p${p}`])),
+                quoteCsvValue(row.risk)
+            ].join(','));
+        });
     });
+    return lines.join('\n') + '\n';
+}
 
-    setTimeout(() => {
-        const ctx = document.getElementById('popupChartCanvas');
-        if (!ctx) return;
-        new Chart(ctx.getContext('2d'), {
-            type: 'line',
-            data: {
-                labels: Array.from({length: daysHourlyData.length}, (_, i) => i % 4 === 0 ? `${i}h` : ''), 
-                datasets: [{
-                    label: 'TWL (m)',
-                    data: daysHourlyData, 
-                    borderColor: '#3b82f6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    borderWidth: 2,
-                    tension: 0.4,
-                    fill: true,
-                    pointRadius: 0, 
-                }, {
-                    label: 'Threshold (m)',
-                    data: Array(daysHourlyData.length).fill(site.threshold),
-                    borderColor: RISK_COLORS["High Risk"],
-                    borderWidth: 1.5,
-                    borderDash: [4, 4],
-                    pointRadius: 0,
-                    fill: false
-                }]
-            },
+/**
+ * Hourly and daily data of one or more sites as JSON, with the export metadata.
+ */
+function buildForecastJson(sites) {
+    return JSON.stringify({
+        metadata: buildExportMetadata(sites),
+        sites: sites.map(site => ({
+            id: site.id,
+            daily: (site.forecastData ? site.forecastData.daily : []).map((day, dayIndex) => ({
+                date: day.dateKey,
+                peak_twl_m: day.max_water_level,
+                peak_time: day.peak_time ? new Date(day.peak_time).toISOString() : null,
+                risk: getSiteDayRisk(site, dayIndex)
+            })),
+            hourly: buildHourlyExportRows(site)
+        }))
+    }, null, 2);
+}
 
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: { 
-                    legend: { display: false },
-                    tooltip: { mode: 'index', intersect: false }
-                },
-                scales: { 
-                    y: { 
-                        ticks: { font: { size: 10 } },
-                        title: {
-                            display: true,
-                            text: 'Total Water Level (m)',
-                            font: { size: 12, weight: 'bold' }
-                        }
-                    }, 
-                    x: { 
-                        ticks: { font: { size: 10 } },
-                        title: {
-                            display: true,
-                            text: 'Time (Hours)',
-                            font: { size: 12, weight: 'bold' }
-                        }
-                    } 
-                },
-                interaction: { mode: 'nearest', axis: 'x', intersect: false }
+/**
+ * GeoJSON FeatureCollection of the sites (points) with the peak TWL and risk of each day as flat
+ * properties (day0_date, day0_peak_twl_m, day0_risk, ...), so they can be styled directly in QGIS.
+ */
+function buildForecastGeoJson(sites) {
+    const metadata = buildExportMetadata(sites);
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        metadata: metadata,
+        features: sites.map((site, i) => {
+            const siteMetadata = metadata.sites[i];
+            const properties = {
+                site_id: site.id,
+                name: site.name,
+                country: site.country,
+                run: metadata.run,
+                threshold_m: siteMetadata.threshold_m,
+                risk_class_m: siteMetadata.risk_class_m.join(';'),
+                datum: site.datum,
+                scheme: siteMetadata.scheme.id
+            };
+            for (let dayIndex = 0; dayIndex < NUM_DAYS; dayIndex++) {
+                const day = site.forecastData && site.forecastData.daily ? site.forecastData.daily[dayIndex] : null;
+                properties[`day${dayIndex}_date`] = day ? day.dateKey : null;
+                properties[`day${dayIndex}_peak_twl_m`] = day ? day.max_water_level : null;
+                properties[`day${dayIndex}_risk`] = getSiteDayRisk(site, dayIndex);
             }
-        });
-    }, 50);
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [site.lng, site.lat] },
+                properties: properties
+            };
+        })
+    }, null, 2);
+}
+
+const DATA_DOWNLOAD_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv', build: buildHourlyCsv },
+    json: { extension: 'json', mimeType: 'application/json', build: buildForecastJson },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json', build: buildForecastGeoJson }
+};
+
+/**
+ * Downloads the forecast of the selected site ('site') or of all sites ('all') in a format of DATA_DOWNLOAD_FORMATS.
+ */
+function downloadForecastData(format, scope) {
+    const sites = scope === 'site' ? (currentSiteData ? [currentSiteData] : []) : SITES;
+    if (sites.length === 0) return;
+
+    const definition = DATA_DOWNLOAD_FORMATS[format];
+    const name = scope === 'site' ? sites[0].id : 'all_sites';
+    downloadTextFile(`safecoast_forecast_${name}_${SELECTED_RUNTIME_DATE}.${definition.extension}`, definition.build(sites), definition.mimeType);
+}
+
+/**
+ * Wires every button with data-download="<format>" (and data-scope="site" | "all").
+ */
+function setupDataDownloadButtons() {
+    document.querySelectorAll('[data-download]').forEach(button => {
+        button.addEventListener('click', () => downloadForecastData(button.dataset.download, button.dataset.scope || 'all'));
+    });
 }
 
 
@@ -812,8 +5201,12 @@ window.handleDaySelection = function(value) {
     const slider = document.getElementById('forecast-day-slider');
     if (slider) slider.value = newIndex;
 
-    // 3. Update Map Markers (Risk status)
-    if (myLeafletMap) renderMapMarkers(currentDayIndex);
+    // 3. Update Map Markers (Risk status, or the hour shown by the playback)
+    if (myLeafletMap) {
+        if (HOURLY_PLAYBACK.active) renderHourlyMarkers(HOURLY_PLAYBACK.hour);
+        else renderMapMarkers(currentDayIndex);
+    }
+    renderPlaybackState();
     
     // 4. Update Sidebar Stats (Max TWL, Risk)
     if (currentSiteData) {
@@ -823,39 +5216,48 @@ window.handleDaySelection = function(value) {
 
     // 5. Close any open chart popup (as it refers to the old day)
     if (myLeafletMap) myLeafletMap.closePopup();
+
+    syncLinkState();
 }
 
 // =================================================
 // TAB SWITCHING AND HISTORICAL LOGIC
 
-function setupTabSwitching() {
+/**
+ * Shows the 'forecast' or 'historical' tab.
+ */
+function switchTab(target) {
     const forecastTab = document.getElementById('nav-forecast');
     const historicalTab = document.getElementById('nav-historical');
     const forecastContent = document.getElementById('tab-forecast');
     const historicalContent = document.getElementById('tab-historical');
 
-    function switchTab(target) {
-        if (target === 'forecast') {
-            forecastContent.style.display = 'block';
-            historicalContent.style.display = 'none';
-            forecastTab.classList.add('active');
-            historicalTab.classList.remove('active');
-            if (myLeafletMap) {
-                myLeafletMap.invalidateSize(); 
-            }
-        } else {
-            forecastContent.style.display = 'none';
-            historicalContent.style.display = 'block';
-            historicalTab.classList.add('active');
-            forecastTab.classList.remove('active');
-            
-            // Re-render historical plot on switch
-            const initialGraph = document.querySelector('input[name="graph_hist"]:checked')?.value || 'bubble';
-            const initialSite = document.getElementById('site_hist')?.value;
-            const initialEvent = document.getElementById('event')?.value.split(' ')[0];
-            if (initialSite) renderHistoricalPlot(initialGraph, initialSite, initialEvent);
+    if (target === 'forecast') {
+        forecastContent.style.display = 'block';
+        historicalContent.style.display = 'none';
+        forecastTab.classList.add('active');
+        historicalTab.classList.remove('active');
+        if (myLeafletMap) {
+            myLeafletMap.invalidateSize(); 
         }
+    } else {
+        forecastContent.style.display = 'none';
+        historicalContent.style.display = 'block';
+        historicalTab.classList.add('active');
+        forecastTab.classList.remove('active');
+        
+        // Re-render historical plot on switch
+        const initialGraph = document.querySelector('input[name="graph_hist"]:checked')?.value || 'bubble';
+        const initialSite = document.getElementById('site_hist')?.value;
+        const initialEvent = document.getElementById('event')?.value.split(' ')[0];
+        if (initialSite) renderHistoricalPlot(initialGraph, initialSite, initialEvent);
     }
+    syncLinkState();
+}
+
+function setupTabSwitching() {
+    const forecastTab = document.getElementById('nav-forecast');
+    const historicalTab = document.getElementById('nav-historical');
 
     forecastTab.addEventListener('click', (e) => {
         e.preventDefault();
@@ -874,6 +5276,8 @@ function setupTabSwitching() {
 // ------------------------------------------------------------------------------------
 
 // --- GLOBAL CACHE FOR HISTORICAL EVENTS ---
+// Parsed catalogs for this page session; the raw files are kept in the persistent asset cache.
+// Failed loads are not memoised so that the next selection retries the download.
 const EVENT_DATA_CACHE = {};
 
 /**
@@ -944,7 +5348,7 @@ async function fetchAndParseXtremEvents(siteId) {
         return EVENT_DATA_CACHE[siteId];
     }
     
-    const assetName = `Xtrem_all_var_${siteId}.csv`;
+    const assetName = getAssetName('xtrem', { site: siteId });
     
     // Fetch GitHub URL only
     const finalUrl = await getAssetDownloadUrl(assetName);
@@ -956,12 +5360,11 @@ async function fetchAndParseXtremEvents(siteId) {
     }
     
     try {
-        const response = await fetch(finalUrl);
+        const response = await fetchAssetCached(assetName, finalUrl, ASSET_CACHE_TTL_MS.historical);
         
         if (!response.ok) {
             console.warn(`Xtrem event data failed to download for ${siteId} from R2 ${finalUrl}. Status: ${response.status}`);
-            EVENT_DATA_CACHE[siteId] = { count: 0, events: [] };
-            return EVENT_DATA_CACHE[siteId];
+            return { count: 0, events: [] };
         }
 
         const csvText = await response.text();
@@ -980,8 +5383,7 @@ async function fetchAndParseXtremEvents(siteId) {
 
     } catch (error) {
         console.error(`Network error fetching Xtrem events for ${siteId} from ${finalUrl}:`, error);
-        EVENT_DATA_CACHE[siteId] = { count: 0, events: [] };
-        return EVENT_DATA_CACHE[siteId];
+        return { count: 0, events: [] };
     }
 }
 
@@ -998,7 +5400,7 @@ async function getSiteEvents(siteId) {
 
 // 2.1 Joint Probability Data
 async function fetchJointProbabilityData(siteId) {
-    const eventData = await fetchAndParseXtremEvents(siteId);
+    const eventData = await getScenarioEventData(siteId);
     // Check if data is empty to prevent issues with .map()
     if (eventData.count === 0) {
         return { tide_sla: [], hs: [], twl_peak: [], dates: [], dur_h: [] };
@@ -1015,12 +5417,16 @@ async function fetchJointProbabilityData(siteId) {
 
 // 2.2 Seasonal Variability Data
 async function fetchSeasonalData(siteId) {
-    const eventData = await fetchAndParseXtremEvents(siteId);
+    const eventData = await getScenarioEventData(siteId);
     const events = eventData.events;
     
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
     const monthlyTWL = {};
     months.forEach(m => monthlyTWL[m] = []);
+    // Events reaching the threshold with and without the scenario (only used when a scenario is active)
+    const scenarioCounts = {};
+    const baselineCounts = {};
+    months.forEach(m => { scenarioCounts[m] = 0; baselineCounts[m] = 0; });
 
     events.forEach(event => {
         // We use the event ID (YYYY-MM-DD) to get the month
@@ -1028,14 +5434,16 @@ async function fetchSeasonalData(siteId) {
         const monthIndex = date.getMonth(); // 0-11
         const monthName = months[monthIndex];
         monthlyTWL[monthName].push(event.twl_peak);
+        if (event.above_threshold) scenarioCounts[monthName] += 1;
+        if (event.baseline_above) baselineCounts[monthName] += 1;
     });
 
-    return monthlyTWL;
+    return { ...monthlyTWL, scenarioCounts: scenarioCounts, baselineCounts: baselineCounts };
 }
 
 // 2.3 Interannual Variability Data
 async function fetchInterannualData(siteId) {
-    const eventData = await fetchAndParseXtremEvents(siteId);
+    const eventData = await getScenarioEventData(siteId);
     const events = eventData.events;
     
     const yearlyData = {}; // Structure: {2018: {max_twl: 2.3, events_count: 3}, ...}
@@ -1045,10 +5453,12 @@ async function fetchInterannualData(siteId) {
         const twl = event.twl_peak;
         
         if (!yearlyData[year]) {
-            yearlyData[year] = { max_twl: twl, events_count: 0 };
+            yearlyData[year] = { max_twl: twl, events_count: 0, scenario_count: 0, baseline_count: 0 };
         }
         
         yearlyData[year].events_count += 1;
+        if (event.above_threshold) yearlyData[year].scenario_count += 1;
+        if (event.baseline_above) yearlyData[year].baseline_count += 1;
         // Update annual max TWL
         yearlyData[year].max_twl = Math.max(yearlyData[year].max_twl, twl);
     });
@@ -1059,15 +5469,17 @@ async function fetchInterannualData(siteId) {
     return {
         years: sortedYears.map(y => parseInt(y)),
         max_twl: sortedYears.map(y => parseFloat(yearlyData[y].max_twl.toFixed(3))),
-        events_count: sortedYears.map(y => yearlyData[y].events_count)
+        events_count: sortedYears.map(y => yearlyData[y].events_count),
+        scenario_count: sortedYears.map(y => yearlyData[y].scenario_count),
+        baseline_count: sortedYears.map(y => yearlyData[y].baseline_count)
     };
 }
 
 // 2.4 Event Component Data (Bar Plot)
 async function fetchEventComponentData(siteId, eventId) {
 
-    const eventData = EVENT_DATA_CACHE[siteId]; 
-    if (!eventData) return { components: [], contributions: [] };
+    if (!EVENT_DATA_CACHE[siteId]) return { components: [], contributions: [] };
+    const eventData = await getScenarioEventData(siteId);
 
     const event = eventData.events.find(e => e.id === eventId);
     if (!event) return { components: [], contributions: [] };
@@ -1110,7 +5522,7 @@ async function fetchEventTimeseriesData(siteId, eventId) {
 
 // 2.5 Fetch pre-calculated variability analysis
 async function fetchVariabilityAnalysis(siteId) {
-    const filename = `Variability_Analysis_${siteId}.json`;
+    const filename = getAssetName('variability', { site: siteId });
     
     // Fetch GitHub URL only
     const finalUrl = await getAssetDownloadUrl(filename);
@@ -1119,7 +5531,7 @@ async function fetchVariabilityAnalysis(siteId) {
         throw new Error(`No variability analysis data (${filename}) found on GitHub Release for ${siteId}.`);
     }
 
-    const response = await fetch(finalUrl);
+    const response = await fetchAssetCached(filename, finalUrl, ASSET_CACHE_TTL_MS.historical);
 
     if (!response.ok) {
         throw new Error(`Failed to fetch variability analysis JSON from GitHub: ${response.status} ${response.statusText}`);
@@ -1144,6 +5556,13 @@ async function setupHistoricalReactivity() {
         const eventData = await getSiteEvents(siteId);
         
         eventCountDisplay.innerText = eventData.count;
+        if (isScenarioActive()) {
+            // Catalog events reaching the site threshold without -> with the scenario
+            const scenarioData = await getScenarioEventData(siteId);
+            const baselineAbove = scenarioData.events.filter(e => e.baseline_above).length;
+            const scenarioAbove = scenarioData.events.filter(e => e.above_threshold).length;
+            eventCountDisplay.innerText = `${eventData.count} · above threshold ${baselineAbove} → ${scenarioAbove} (${getScenarioLabel()})`;
+        }
         
         eventSelect.innerHTML = eventData.events.map(event => 
             `<option value="${event.id}">${event.name}</option>`
@@ -1169,6 +5588,13 @@ async function setupHistoricalReactivity() {
         // Update event dropdown only when site changes
         if (event.target.id === 'site_hist') {
             currentEventId = await updateEventUI(site); 
+
+            // Event of a deep link, once the events of the linked site are listed
+            if (PENDING_LINK_EVENT && [...eventSelect.options].some(option => option.value === PENDING_LINK_EVENT)) {
+                eventSelect.value = PENDING_LINK_EVENT;
+                currentEventId = PENDING_LINK_EVENT;
+            }
+            PENDING_LINK_EVENT = null;
         }
 
         // Show/Hide Event Selection based on plot type  
@@ -1184,6 +5610,7 @@ async function setupHistoricalReactivity() {
         } else {
             renderHistoricalPlot(graphType, site, currentEventId);
         }
+        syncLinkState();
     });
 }
 
@@ -1249,7 +5676,7 @@ async function renderHistoricalPlot(graphType, siteId, eventId) {
             }];
 
             layout = {
-                title: `Tide vs. Hs Distribution for ${site.name}`,
+                title: `Tide vs. Hs Distribution for ${site.name}${isScenarioActive() ? ` (scenario ${getScenarioLabel()})` : ''}`,
                 xaxis: { title: 'Tide (m)' },
                 yaxis: { title: 'Significant Wave Height (Hs) (m)' },
                 legend: {
@@ -1298,8 +5725,21 @@ async function renderHistoricalPlot(graphType, siteId, eventId) {
             // Combine traces: Boxes first, then the Line on top
             plotData = [...boxTraces, countTrace];
 
+            // Under a scenario, compare the events reaching the threshold with and without it
+            if (isScenarioActive()) {
+                countTrace.name = 'Events above threshold (scenario)';
+                countTrace.y = validMonths.map(m => data.scenarioCounts[m]);
+                plotData.push({
+                    ...countTrace,
+                    name: 'Events above threshold (baseline)',
+                    y: validMonths.map(m => data.baselineCounts[m]),
+                    line: { color: '#e31a1c', width: 1, dash: 'dash' },
+                    marker: { color: '#e31a1c', size: 5, symbol: 'circle-open' }
+                });
+            }
+
             layout = {
-                title: `Seasonal Variability: TWL Distribution & Event Frequency - ${site.name}`,
+                title: `Seasonal Variability: TWL Distribution & Event Frequency - ${site.name}${isScenarioActive() ? `<br>Scenario ${getScenarioLabel()}` : ''}`,
                 xaxis: { title: 'Month' },
                 
                 // Primary Y-Axis (Left) - TWL
@@ -1342,17 +5782,28 @@ async function renderHistoricalPlot(graphType, siteId, eventId) {
                 },
                 {
                     x: data.years,
-                    y: data.events_count,
+                    y: isScenarioActive() ? data.scenario_count : data.events_count,
                     type: 'scatter',
                     mode: 'lines+markers',
-                    name: 'Number of Events',
+                    name: isScenarioActive() ? 'Events above threshold (scenario)' : 'Number of Events',
                     yaxis: 'y2',
                     line: { color: '#e31a1c'  }
                 }
             ];
+            if (isScenarioActive()) {
+                plotData.push({
+                    x: data.years,
+                    y: data.baseline_count,
+                    type: 'scatter',
+                    mode: 'lines+markers',
+                    name: 'Events above threshold (baseline)',
+                    yaxis: 'y2',
+                    line: { color: '#e31a1c', dash: 'dash' }
+                });
+            }
 
             layout = {
-                title: `Interannual Variability of Flood Events and Max TWL for ${site.name}`,
+                title: `Interannual Variability of Flood Events and Max TWL for ${site.name}${isScenarioActive() ? `<br>Scenario ${getScenarioLabel()}` : ''}`,
                 xaxis: { title: 'Year' },
                 yaxis: { title: 'Annual Maximum TWL (m)', color: '#33a02c'},
                 yaxis2: {
@@ -1400,7 +5851,7 @@ async function renderHistoricalPlot(graphType, siteId, eventId) {
             }];
 
             layout = {
-                title: `Component Contribution for ${site.name} (Flood Event of: ${eventId}) <br> Max TWL: ${totalTWL} m`,
+                title: `Component Contribution for ${site.name} (Flood Event of: ${eventId}) <br> Max TWL: ${totalTWL} m${isScenarioActive() ? ` (scenario ${getScenarioLabel()})` : ''}`,
                 xaxis: { title: 'TWL Component' },
                 yaxis: { title: 'Water level (m)' },
                 height: 800,
@@ -1553,6 +6004,421 @@ async function renderHistoricalPlot(graphType, siteId, eventId) {
     }
 }
 
+// ====================================================================================
+// DEEP LINKS (APP STATE IN THE URL HASH)
+// ====================================================================================
+
+// The query string selects the data source (see resolveDataSource); the view is kept in the hash:
+// #run=20261017&day=2&site=NIGERIA&tab=historical&graph=bar&event=12
+// `site` is the forecast site on the Forecast tab and the historical site on the Historical tab.
+
+const LINK_TABS = ['forecast', 'historical'];
+const LINK_PUSH_INTERVAL_MS = 1000; // Changes closer than this (e.g. dragging the day slider) replace the last history entry
+
+// State read from the URL that is applied once the sites are loaded (null when none)
+let PENDING_LINK_STATE = null;
+let PENDING_LINK_EVENT = null; // Historical event picked when the events of the linked site are loaded
+let lastLinkPushTime = 0;
+
+/**
+ * Reads the view from the URL hash. Invalid or missing values are left out.
+ */
+function readLinkState(hash = window.location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const run = params.get('run');
+    if (run && /^\d{8}$/.test(run)) state.run = run;
+
+    const day = parseInt(params.get('day'), 10);
+    if (!isNaN(day) && day >= 0 && day < NUM_DAYS) state.day = day;
+
+    if (params.get('site')) state.site = params.get('site');
+    if (LINK_TABS.includes(params.get('tab'))) state.tab = params.get('tab');
+
+    const graph = params.get('graph');
+    if (graph && document.querySelector(`input[name="graph_hist"][value="${CSS.escape(graph)}"]`)) state.graph = graph;
+    if (params.get('event')) state.event = params.get('event');
+
+    return state;
+}
+
+function getActiveTab() {
+    return document.getElementById('tab-historical').style.display === 'block' ? 'historical' : 'forecast';
+}
+
+/**
+ * Hash of the current view.
+ */
+function buildLinkHash() {
+    const tab = getActiveTab();
+    const graph = document.querySelector('input[name="graph_hist"]:checked')?.value;
+    const params = new URLSearchParams({ run: SELECTED_RUNTIME_DATE, day: String(SELECTED_FORECAST_INDEX) });
+
+    const site = tab === 'historical' ? document.getElementById('site_hist')?.value : (currentSiteData ? currentSiteData.id : null);
+    if (site) params.set('site', site);
+    params.set('tab', tab);
+    if (graph) params.set('graph', graph);
+
+    const eventSelect = document.getElementById('event');
+    if (tab === 'historical' && graph === 'bar' && eventSelect && eventSelect.value) params.set('event', eventSelect.value);
+
+    return `#${params.toString()}`;
+}
+
+/**
+ * Writes the current view to the URL. A new history entry is added unless the change follows the previous
+ * one closely; nothing is written while a linked state is being applied.
+ */
+function syncLinkState() {
+    if (PENDING_LINK_STATE) return;
+
+    const hash = buildLinkHash();
+    if (hash === window.location.hash) return;
+
+    // The first write completes the URL of the page instead of adding an entry
+    const now = Date.now();
+    if (lastLinkPushTime === 0 || now - lastLinkPushTime < LINK_PUSH_INTERVAL_MS) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+    lastLinkPushTime = now;
+}
+
+/**
+ * Run to open from the link, if it is a published run (any run when there is no manifest).
+ */
+function getLinkedRun(state) {
+    if (!state.run) return null;
+    if (AVAILABLE_RUNS.length > 0 && !AVAILABLE_RUNS.some(run => run.run === state.run)) {
+        console.warn(`Linked run ${state.run} is not in the run manifest. Opening ${SELECTED_RUNTIME_DATE}.`);
+        return null;
+    }
+    return state.run;
+}
+
+function getLinkedSite(state) {
+    if (!state.site) return null;
+    const site = SITES.find(s => s.id === state.site);
+    if (!site) console.warn(`Linked site ${state.site} is not in the sites file.`);
+    return site || null;
+}
+
+/**
+ * Selects the linked graph and historical site in the Historical controls. The linked event is picked
+ * by the controls once the events of the site are loaded.
+ */
+function applyLinkedHistoricalControls(state) {
+    if (state.graph) {
+        const radio = document.querySelector(`input[name="graph_hist"][value="${CSS.escape(state.graph)}"]`);
+        if (radio) radio.checked = true;
+    }
+    const siteSelect = document.getElementById('site_hist');
+    if (siteSelect && getLinkedSite(state)) siteSelect.value = state.site;
+    PENDING_LINK_EVENT = state.event || null;
+}
+
+/**
+ * Applies a linked state to the running app (browser back/forward or an edited hash).
+ */
+function applyLinkState(state) {
+    PENDING_LINK_STATE = state;
+
+    if (state.tab) switchTab(state.tab);
+    if (state.day !== undefined) window.handleDaySelection(state.day);
+
+    const run = getLinkedRun(state);
+    if (run && run !== SELECTED_RUNTIME_DATE) {
+        const selector = document.getElementById('runtime-date-selector');
+        if (selector) selector.value = selector.tagName === 'SELECT' ? run : `${run.substring(0, 4)}-${run.substring(4, 6)}-${run.substring(6, 8)}`;
+        changeRuntimeDate(run); // The sites and historical controls follow the link once the run is loaded
+        return;
+    }
+
+    const site = getLinkedSite(state);
+    const siteSelect = document.getElementById('site_hist');
+    const eventSelect = document.getElementById('event');
+    const previousHistSite = siteSelect ? siteSelect.value : null;
+    applyLinkedHistoricalControls(state);
+    PENDING_LINK_STATE = null;
+
+    if (site && getActiveTab() === 'forecast' && (!currentSiteData || currentSiteData.id !== site.id)) selectSiteById(site.id);
+
+    if (!siteSelect || !siteSelect.value) return;
+    if (siteSelect.value !== previousHistSite) {
+        siteSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    } else {
+        if (PENDING_LINK_EVENT && [...eventSelect.options].some(option => option.value === PENDING_LINK_EVENT)) eventSelect.value = PENDING_LINK_EVENT;
+        PENDING_LINK_EVENT = null;
+        eventSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+}
+
+/**
+ * Reads the link of the page at startup and follows browser back/forward.
+ */
+function setupDeepLinks() {
+    const state = readLinkState();
+    if (Object.keys(state).length > 0) {
+        PENDING_LINK_STATE = state;
+        if (state.day !== undefined) SELECTED_FORECAST_INDEX = state.day;
+        if (state.tab) switchTab(state.tab);
+    }
+
+    window.addEventListener('popstate', () => applyLinkState(readLinkState()));
+}
+
+
+// ====================================================================================
+// EMBED MODE (SITE WIDGET FOR PARTNER WEBSITES)
+// ====================================================================================
+
+// index.html?embed=TOGO&view=card shows only the status card of a site; view=chart adds a mini hourly chart.
+// The data source parameters (?source=, ?data=, ?config=) still apply.
+const EMBED_VIEWS = {
+    card: { label: "Status card", width: 340, height: 300 },
+    chart: { label: "Status card + hourly chart", width: 340, height: 470 }
+};
+const EMBED_REFRESH_INTERVAL_MS = 30 * 60 * 1000;
+
+let embedChart = null;
+
+/**
+ * Embed options from the query string ({ siteId, view }), or null outside embed mode.
+ */
+function getEmbedOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const siteId = params.get('embed');
+    if (!siteId) return null;
+    return { siteId: siteId, view: EMBED_VIEWS[params.get('view')] ? params.get('view') : 'card' };
+}
+
+/**
+ * Index of the forecast day / hour that contains the current time, clamped to the forecast range.
+ */
+function getCurrentForecastIndex(data, unitMs, count) {
+    return Math.min(Math.max(Math.floor((Date.now() - data.hourlyStart) / unitMs), 0), Math.max(count - 1, 0));
+}
+
+/**
+ * URL of the full dashboard opened on the embedded site.
+ */
+function getDashboardUrl(siteId) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('embed');
+    params.delete('view');
+    const query = params.toString();
+    return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}#site=${encodeURIComponent(siteId)}`;
+}
+
+function renderEmbedCard(site, view) {
+    const root = document.getElementById('embed-root');
+    const data = site.forecastData;
+
+    if (!data || data.daily.length === 0) {
+        root.innerHTML = `
+            <div class="embed-card">
+                <div class="embed-title">${escapeXml(site.name)}</div>
+                <p class="embed-muted mb-0">No forecast available for run ${SELECTED_RUNTIME_DATE}.</p>
+            </div>`;
+        return;
+    }
+
+    // Current risk from the hourly TWL when the current hour is in the forecast, else from the day
+    const todayIndex = getCurrentForecastIndex(data, MS_PER_DAY, data.daily.length);
+    const hourIndex = Math.floor((Date.now() - data.hourlyStart) / MS_PER_HOUR);
+    const hasCurrentHour = hourIndex >= 0 && hourIndex < data.hourly.length && data.hourly[hourIndex] !== null;
+    const currentRisk = hasCurrentHour ? getSiteHourRisk(site, hourIndex) : getSiteDayRisk(site, todayIndex);
+    const today = data.daily[todayIndex];
+    const textColor = risk => getRiskIndex(risk, site) === 1 ? '#212529' : '#fff';
+
+    const strip = data.daily.map((day, dayIndex) => {
+        const risk = getSiteDayRisk(site, dayIndex);
+        const weekday = getForecastDate(dayIndex).split(',')[0].substring(0, 3);
+        return `
+            <div class="embed-strip-day${dayIndex === todayIndex ? ' embed-strip-today' : ''}" style="background-color: ${getRiskColor(risk, site)}; color: ${textColor(risk)};" title="${escapeXml(`${getForecastDate(dayIndex)}: ${risk}`)}">
+                <small>${weekday}</small>
+                <strong>${day.missing ? '--' : day.max_water_level.toFixed(2)}</strong>
+            </div>`;
+    }).join('');
+
+    root.innerHTML = `
+        <div class="embed-card">
+            <div class="d-flex justify-content-between align-items-start">
+                <div>
+                    <div class="embed-title">${escapeXml(site.name)}</div>
+                    <small class="embed-muted">Coastal flood status · threshold ${site.threshold} m${site.datum ? ` (${escapeXml(site.datum)})` : ''}</small>
+                </div>
+                <span class="badge embed-risk" style="background-color: ${getRiskColor(currentRisk, site)}; color: ${textColor(currentRisk)};">${escapeXml(currentRisk)}</span>
+            </div>
+            <div class="embed-peak">
+                Peak TWL ${today.date}:
+                <strong>${today.missing ? 'N/A' : `${today.max_water_level.toFixed(2)} m`}</strong>${today.peak_time ? ` at ${formatSiteTime(today.peak_time, site)} local` : ''}
+            </div>
+            <div class="embed-strip">${strip}</div>
+            ${view === 'chart' ? '<div class="embed-chart"><canvas id="embed-chart-canvas"></canvas></div>' : ''}
+            <div class="embed-footer">
+                <a href="${escapeXml(getDashboardUrl(site.id))}" target="_blank" rel="noopener">SafeCoast</a> · Run ${SELECTED_RUNTIME_DATE} · Updated ${new Date().toISOString().substring(11, 16)} UTC
+            </div>
+        </div>`;
+
+    if (view === 'chart') renderEmbedChart(site);
+}
+
+/**
+ * Mini hourly chart: TWL with the threshold and risk_class boundaries in the colour of the level they open.
+ */
+function renderEmbedChart(site) {
+    const data = site.forecastData;
+    const levels = getSiteLevels(site);
+    const labels = data.hourly.map((_, hour) => hour % 24 === 0 ? getForecastDate(Math.floor(hour / 24)).split(',')[0].substring(0, 3) : '');
+    const boundaryDatasets = [site.threshold, ...site.risk_class].map((level, b) => ({
+        label: levels[b + 1].level,
+        data: data.hourly.map(() => level),
+        borderColor: levels[b + 1].color,
+        borderWidth: 1,
+        borderDash: [4, 4],
+        pointRadius: 0
+    }));
+
+    if (embedChart) embedChart.destroy();
+    embedChart = new Chart(document.getElementById('embed-chart-canvas').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'TWL (m)',
+                data: data.hourly,
+                borderColor: '#1f4e79',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                spanGaps: false
+            }, ...boundaryDatasets]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: { legend: { display: false }, tooltip: { mode: 'index', intersect: false } },
+            scales: {
+                x: { ticks: { autoSkip: false, maxRotation: 0, font: { size: 9 } }, grid: { display: false } },
+                y: { ticks: { font: { size: 9 } }, title: { display: true, text: 'TWL (m)', font: { size: 10 } } }
+            }
+        }
+    });
+}
+
+/**
+ * Error card of the widget. The message is set as text, never as HTML.
+ */
+function renderEmbedError(message) {
+    const root = document.getElementById('embed-root');
+    root.innerHTML = '<div class="embed-card"><div class="embed-title">SafeCoast</div><p class="text-danger mb-0"></p></div>';
+    root.querySelector('p').textContent = message;
+}
+
+/**
+ * Loads the embedded site for the newest run and renders its card.
+ * The ?embed= value is only matched against the loaded site IDs, never rendered.
+ */
+async function loadEmbedSite(options) {
+    try {
+        await selectInitialRun();
+        const sites = await fetchSiteDefinitions();
+        const site = sites.find(s => s.id === options.siteId || getShortSiteId(s.id) === options.siteId);
+        if (!site) throw new Error('The requested site is not in the sites file.');
+
+        renderEmbedCard(await fetchAndParseForecast(site), options.view);
+    } catch (error) {
+        console.error('Embed widget failed to load:', error);
+        renderEmbedError(error.message);
+    }
+}
+
+/**
+ * Replaces the dashboard with the widget of one site and refreshes it periodically.
+ */
+async function startEmbedMode(options) {
+    document.body.classList.add('embed-mode');
+    const root = document.getElementById('embed-root');
+    root.style.display = 'block';
+    root.innerHTML = '<div class="embed-card embed-muted">Loading...</div>';
+
+    // The data source is resolved once; the periodic refresh reloads the newest run from it
+    try {
+        await resolveDataSource();
+    } catch (error) {
+        console.error('Embed widget could not resolve the data source:', error);
+        renderEmbedError(error.message);
+        return;
+    }
+    await loadEmbedSite(options);
+    setInterval(() => loadEmbedSite(options), EMBED_REFRESH_INTERVAL_MS);
+}
+
+// --- Iframe snippet generator (dashboard) ---
+
+/**
+ * Widget URL for a site and view, on the data source of the dashboard.
+ */
+function buildEmbedUrl(siteId, view) {
+    const params = new URLSearchParams(window.location.search);
+    params.set('embed', getShortSiteId(siteId));
+    params.set('view', view);
+    return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+}
+
+function buildEmbedSnippet(site, view, width, height) {
+    return `<iframe src="${escapeXml(buildEmbedUrl(site.id, view))}" width="${width}" height="${height}" style="border: 0;" loading="lazy" title="SafeCoast coastal flood status: ${escapeXml(site.name)}"></iframe>`;
+}
+
+function renderEmbedSnippet() {
+    const site = SITES.find(s => s.id === document.getElementById('embed-site').value);
+    if (!site) return;
+    const view = document.getElementById('embed-view').value;
+    const width = parseInt(document.getElementById('embed-width').value, 10) || EMBED_VIEWS[view].width;
+    const height = parseInt(document.getElementById('embed-height').value, 10) || EMBED_VIEWS[view].height;
+
+    document.getElementById('embed-snippet').value = buildEmbedSnippet(site, view, width, height);
+    const preview = document.getElementById('embed-preview');
+    preview.width = width;
+    preview.height = height;
+    const url = buildEmbedUrl(site.id, view);
+    if (preview.getAttribute('src') !== url) preview.setAttribute('src', url);
+}
+
+function setupEmbedSnippetGenerator() {
+    const button = document.getElementById('embed-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        if (SITES.length === 0) return;
+        const siteSelect = document.getElementById('embed-site');
+        siteSelect.innerHTML = SITES.map(site => `<option value="${site.id}">${site.name}</option>`).join('');
+        if (currentSiteData) siteSelect.value = currentSiteData.id;
+        renderEmbedSnippet();
+        $('#embed-modal').modal('show');
+    });
+
+    document.getElementById('embed-view').addEventListener('change', (event) => {
+        document.getElementById('embed-width').value = EMBED_VIEWS[event.target.value].width;
+        document.getElementById('embed-height').value = EMBED_VIEWS[event.target.value].height;
+        renderEmbedSnippet();
+    });
+    ['embed-site', 'embed-width', 'embed-height'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderEmbedSnippet);
+    });
+
+    document.getElementById('embed-copy-btn').addEventListener('click', async () => {
+        const textarea = document.getElementById('embed-snippet');
+        const copied = await copyTextToClipboard(textarea.value, textarea);
+        document.getElementById('embed-copy-btn').innerText = copied ? 'Copied' : 'Copy failed';
+        setTimeout(() => { document.getElementById('embed-copy-btn').innerText = 'Copy'; }, 1500);
+    });
+}
+
+
 // ================================
 // SIDEBAR COLLAPSE / EXPAND LOGIC
 // ================================
@@ -1592,19 +6458,45 @@ function setupSidebarToggle() {
 // ====================================================================================
 
 window.onload = function() {
+    // Embed mode: only the widget of one site, without the dashboard
+    const embedOptions = getEmbedOptions();
+    if (embedOptions) {
+        startEmbedMode(embedOptions);
+        return;
+    }
+
+    registerServiceWorker();
+    setupConnectivityListeners();
     setupSidebarToggle();
     // 1. Initialize UI shell IMMEDIATELY (Map, date inputs)
     setupDateSelector(); 
     setupForecastHorizonSlider();
     initializeMap(); 
+    pruneAssetCache();
     renderRiskLegend();
+    setupClassificationModeSelector();
+    setupScenarioControls();
+    setupRunComparisonButton();
+    setupBulletinControls();
+    setupCapExportButtons();
+    setupWatchlist();
+    setupDispatchControls();
+    setupWarningWorkflow();
+    setupHourlyPlayback();
+    setupRiskMatrix();
+    setupSituationReportButtons();
+    setupDataDownloadButtons();
+    setupEmbedSnippetGenerator();
     setupTabSwitching();
     setupHistoricalReactivity();
+    setupDeepLinks();
 
-    document.getElementById('current-date-display').innerText = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    updateOperationalDateDisplay();
 
-    // 2. Start Asynchronous Data Fetching (populates markers, updates sidebar)
-    fetchAndProcessAllSites(); 
+    // 2. Resolve the data source and the latest published run, then start Asynchronous Data Fetching (populates markers, updates sidebar)
+    resolveDataSource()
+        .then(() => initializeRunSelection())
+        .then(() => fetchAndProcessAllSites());
     // 3. Start Reset when a click on navbar brand
     document.getElementById("navbar-brand").addEventListener("click", function (e) {
         e.preventDefault();
@@ -0,0 +1,122 @@
+// ====================================================================================
+// SAFECOAST SERVICE WORKER
+// Keeps the application shell (HTML, CSS, JS, CDN libraries) available offline.
+// Forecast and historical data files are cached by the app itself (IndexedDB asset cache).
+// ====================================================================================
+
+const SHELL_CACHE = 'safecoast-shell-v1';
+
+const SHELL_ASSETS = [
+    './',
+    './index.html',
+    './style.css',
+    './script.js',
+    './manifest.webmanifest',
+    './assets/new_safecoast_logo1.svg',
+    './assets/safecoastlogo.svg'
+];
+const SHELL_URLS = SHELL_ASSETS.map(path => new URL(path, self.location).href);
+const INDEX_URL = new URL('./index.html', self.location).href;
+
+// Third-party libraries loaded from CDNs (fetched in CORS mode so failed responses can be told apart)
+const CDN_ASSETS = [
+    'https://stackpath.bootstrapcdn.com/bootstrap/4.5.2/css/bootstrap.min.css',
+    'https://unpkg.com/leaflet/dist/leaflet.css',
+    'https://unpkg.com/leaflet/dist/leaflet.js',
+    'https://cdn.plot.ly/plotly-2.32.0.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://code.jquery.com/jquery-3.5.1.slim.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap@4.5.2/dist/js/bootstrap.bundle.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_ASSETS);
+
+        // CDN files are cached one by one: a CDN outage must not block the installation
+        await Promise.all(CDN_ASSETS.map(async (url) => {
+            try {
+                const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+                if (!response.ok) throw new Error(`Status: ${response.status}`);
+                await cache.put(url, response);
+            } catch (error) {
+                console.warn(`Service worker: could not cache ${url}`, error);
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // Shell files are keyed without their query string (?embed=, ?source= only matter to the page)
+    const shellKey = `${url.origin}${url.pathname}`;
+    const isNavigation = request.mode === 'navigate';
+    const isShell = isNavigation || SHELL_URLS.includes(shellKey);
+    const isCdn = CDN_ASSETS.includes(request.url);
+
+    // Data files (sites file, fixtures, ?config= files) and map tiles go straight to the network
+    if (!isShell && !isCdn) return;
+
+    if (isShell) {
+        // Network first so deployments are picked up, cached copy when offline
+        event.respondWith((async () => {
+            const cache = await caches.open(SHELL_CACHE);
+            try {
+                const response = await fetch(request);
+                if (response.ok && SHELL_URLS.includes(shellKey)) cache.put(shellKey, response.clone());
+                return response;
+            } catch (error) {
+                const cached = await cache.match(shellKey);
+                if (cached) return cached;
+                // Only page loads fall back to the dashboard; anything else reports the failure
+                const index = isNavigation ? await cache.match(INDEX_URL) : null;
+                return index || Response.error();
+            }
+        })());
+        return;
+    }
+
+    // CDN libraries: cached copy first, refreshed in the background
+    event.respondWith((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        const cached = await cache.match(request.url);
+        const refresh = fetch(request.url, { mode: 'cors', credentials: 'omit' })
+            .then(response => {
+                // A CDN error must not replace the good cached copy
+                if (response.ok) cache.put(request.url, response.clone());
+                return response;
+            })
+            .catch(() => cached || fetch(request));
+        return cached || refresh;
+    })());
+});
+
+// Watchlist notifications: focus (or open) the dashboard and select the site
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const siteId = event.notification.data ? event.notification.data.siteId : null;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            await windows[0].focus();
+            if (siteId) windows[0].postMessage({ type: 'select-site', siteId: siteId });
+            return;
+        }
+        await self.clients.openWindow(siteId ? `./#site=${encodeURIComponent(siteId)}` : './');
+    })());
+});
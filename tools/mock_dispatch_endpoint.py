@@ -0,0 +1,92 @@
+"""Local mock endpoint for testing SafeCoast alert dispatch (webhook and SMS gateway transports).
+
+Usage:
+    python3 tools/mock_dispatch_endpoint.py [--port 8765] [--fail]
+
+Then set http://localhost:8765/webhook or http://localhost:8765/sms as the transport URL in the
+"Dispatch Alert" dialog. Every request is printed and appended to mock_dispatch_requests.jsonl
+next to this script (override with --log).
+With --fail the endpoint answers 503, to check that failures are shown and logged.
+Standard library only.
+"""
+
+import argparse
+import json
+import os
+from datetime import datetime, timezone
+from http.server import BaseHTTPRequestHandler, HTTPServer
+
+DEFAULT_LOG_FILE = os.path.join(os.path.dirname(os.path.abspath(__file__)), "mock_dispatch_requests.jsonl")
+
+
+class MockDispatchHandler(BaseHTTPRequestHandler):
+    fail = False
+    log_file = DEFAULT_LOG_FILE
+
+    def _send_cors_headers(self):
+        # The dashboard is served from another origin (file server or GitHub Pages)
+        self.send_header("Access-Control-Allow-Origin", "*")
+        self.send_header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-SafeCoast-Token")
+        self.send_header("Access-Control-Allow-Methods", "POST, OPTIONS")
+
+    def _send(self, status, body):
+        data = json.dumps(body).encode("utf-8")
+        self.send_response(status)
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(data)))
+        self._send_cors_headers()
+        self.end_headers()
+        self.wfile.write(data)
+
+    def do_OPTIONS(self):
+        # CORS preflight: 204 carries no body
+        self.send_response(204)
+        self._send_cors_headers()
+        self.end_headers()
+
+    def do_POST(self):
+        length = int(self.headers.get("Content-Length", 0))
+        raw = self.rfile.read(length).decode("utf-8")
+        try:
+            body = json.loads(raw)
+        except ValueError:
+            self._send(400, {"error": "body is not JSON"})
+            return
+
+        record = {
+            "received_at": datetime.now(timezone.utc).isoformat(),
+            "path": self.path,
+            "headers": {k: v for k, v in self.headers.items() if k.lower() in ("authorization", "x-safecoast-token", "content-type")},
+            "body": body,
+        }
+        with open(self.log_file, "a", encoding="utf-8") as log:
+            log.write(json.dumps(record) + "\n")
+        print(json.dumps(record, indent=2))
+
+        if self.fail:
+            self._send(503, {"error": "mock failure"})
+        else:
+            self._send(200, {"status": "accepted", "path": self.path})
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument("--port", type=int, default=8765)
+    parser.add_argument("--fail", action="store_true", help="answer 503 to every request")
+    parser.add_argument("--log", default=DEFAULT_LOG_FILE, help="file the received requests are appended to")
+    args = parser.parse_args()
+
+    MockDispatchHandler.fail = args.fail
+    MockDispatchHandler.log_file = args.log
+    server = HTTPServer(("127.0.0.1", args.port), MockDispatchHandler)
+    print(f"Mock dispatch endpoint on http://localhost:{args.port} (log: {args.log})")
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
+
+
+if __name__ == "__main__":
+    main()